@@ -1,4 +1,12 @@
-import { pgTable, text, integer, timestamp, uuid, boolean } from 'drizzle-orm/pg-core';
+import { pgTable, text, integer, timestamp, uuid, boolean, index, uniqueIndex } from 'drizzle-orm/pg-core';
+
+// Players table - the people taking turns at the hoop
+export const players = pgTable('players', {
+  id: uuid('id').primaryKey().defaultRandom(), // Generated by the client
+  name: text('name').notNull().unique(),
+
+  createdAt: timestamp('created_at').notNull().defaultNow(),
+});
 
 // Sessions table - groups multiple games together (10-minute sessions)
 export const sessions = pgTable('sessions', {
@@ -9,10 +17,15 @@ export const sessions = pgTable('sessions', {
   highScore: integer('high_score').notNull().default(0),
   totalPoints: integer('total_points').notNull().default(0),
 
-  // Duration
+  // Rules (copied from the chosen preset so old sessions keep the rules they were played with)
+  ruleSet: text('rule_set').notNull().default('classic'), // 'classic', 'sprint', 'hardcore'
   durationSeconds: integer('duration_seconds').notNull().default(600), // Default 10 min
+  initialMisses: integer('initial_misses').notNull().default(3),
+  freebiesAfterTen: integer('freebies_after_ten').notNull().default(3),
+  multiplierShots: integer('multiplier_shots').notNull().default(5),
 
-  // Pause state (for calculating time remaining on page load)
+  // Pause state - a summary of the session's pause intervals, kept in step with them
+  // (so session lists can work out the clock without loading every pause)
   isPaused: boolean('is_paused').notNull().default(false),
   pausedAt: timestamp('paused_at'),
   totalPausedMs: integer('total_paused_ms').notNull().default(0),
@@ -20,6 +33,18 @@ export const sessions = pgTable('sessions', {
   // Current active game (if any)
   currentGameId: uuid('current_game_id'),
 
+  // Players in this session, in turn order (null for sessions played without named players)
+  playerIds: uuid('player_ids').array(),
+  // Move on to the next player in turn order after each game
+  rotatePlayers: boolean('rotate_players').notNull().default(false),
+
+  // Short code a phone enters to pair as a remote controller (set once someone asks to pair)
+  pairingCode: text('pairing_code').unique(),
+
+  // The tab allowed to write to this session, and until when its lease holds without renewal
+  controllerId: text('controller_id'),
+  controllerLeaseExpiresAt: timestamp('controller_lease_expires_at'),
+
   // Timestamps
   startedAt: timestamp('started_at').notNull().defaultNow(),
   endedAt: timestamp('ended_at'),
@@ -34,6 +59,9 @@ export const games = pgTable('games', {
   // Session info
   sessionId: uuid('session_id').notNull().references(() => sessions.id, { onDelete: 'cascade' }),
 
+  // Who shot this game (null for games without a named player)
+  playerId: uuid('player_id').references(() => players.id, { onDelete: 'set null' }),
+
   // Current game state (for restoring on page refresh)
   currentScore: integer('current_score').notNull().default(0),
   currentMultiplier: integer('current_multiplier').notNull().default(1),
@@ -51,7 +79,10 @@ export const games = pgTable('games', {
   durationSeconds: integer('duration_seconds'), // How long the game lasted
 
   // Game outcome
-  endReason: text('end_reason'), // 'out_of_misses', 'session_ended', 'manual_end'
+  endReason: text('end_reason'), // 'out_of_misses', 'session_ended', 'manual_end', 'abandoned' (closed by the auto-close)
+  // Closed out on the server before the controlling tab ended it - shots still in that tab's outbox
+  // are accepted until the tab's own end write arrives
+  awaitingLateEvents: boolean('awaiting_late_events').notNull().default(false),
 
   // Timestamps
   startedAt: timestamp('started_at').notNull().defaultNow(),
@@ -63,11 +94,11 @@ export const games = pgTable('games', {
 
 // Events table - every action within a game
 export const events = pgTable('events', {
-  id: uuid('id').primaryKey().defaultRandom(),
+  id: uuid('id').primaryKey().defaultRandom(), // Generated by the client, so retried writes can be recognized
   gameId: uuid('game_id').notNull().references(() => games.id, { onDelete: 'cascade' }),
 
   // Event type
-  eventType: text('event_type').notNull(), // 'make', 'miss', 'mode_change', 'game_start', 'game_end'
+  eventType: text('event_type').notNull(), // 'make', 'miss', 'mode_change', 'undo', 'redo', 'game_start', 'game_end', 'final_shot'
 
   // State at time of event
   score: integer('score').notNull().default(0),
@@ -77,7 +108,7 @@ export const events = pgTable('events', {
   freebiesRemaining: integer('freebies_remaining').notNull().default(0),
   mode: text('mode').notNull().default('multiplier'), // 'multiplier' or 'point'
 
-  // Points earned on this event (for makes)
+  // Points earned on this event (for makes, and a made final shot)
   pointsEarned: integer('points_earned').default(0),
 
   // For mode changes
@@ -90,17 +121,57 @@ export const events = pgTable('events', {
   // Was this a tip-in (jumped and tipped ball before it hit ground)?
   isTipIn: boolean('is_tip_in').default(false),
 
+  // For undo events - the sequence number of the event being retracted
+  // For redo events - the sequence number of the undo being reversed
+  retractsSequenceNumber: integer('retracts_sequence_number'),
+
   // Timestamp
   occurredAt: timestamp('occurred_at').notNull().defaultNow(),
 
   // Sequence number within the game (for ordering)
   sequenceNumber: integer('sequence_number').notNull(),
+}, (table) => [
+  // A game can only have one event at each position
+  uniqueIndex('events_game_id_sequence_number_idx').on(table.gameId, table.sequenceNumber),
+]);
+
+// Pause intervals table - every pause in a session, so its clock can be rebuilt after the fact
+export const pauseIntervals = pgTable('pause_intervals', {
+  id: uuid('id').primaryKey().defaultRandom(), // Generated by the client, so retried writes can be recognized
+  sessionId: uuid('session_id').notNull().references(() => sessions.id, { onDelete: 'cascade' }),
+
+  pausedAt: timestamp('paused_at').notNull(),
+  resumedAt: timestamp('resumed_at'), // Null while the session is still paused
+
+  createdAt: timestamp('created_at').notNull().defaultNow(),
+}, (table) => [
+  index('pause_intervals_session_id_idx').on(table.sessionId),
+]);
+
+// Remote commands table - actions sent from a paired phone, waiting for the scoreboard to carry them out
+export const remoteCommands = pgTable('remote_commands', {
+  id: uuid('id').primaryKey().defaultRandom(), // Generated by the controller
+  sessionId: uuid('session_id').notNull().references(() => sessions.id, { onDelete: 'cascade' }),
+
+  // Same action names as voice commands ('make', 'miss', 'tip_make', 'pause', ...)
+  action: text('action').notNull(),
+
+  // Set once a scoreboard has picked the command up
+  handledAt: timestamp('handled_at'),
+
+  createdAt: timestamp('created_at').notNull().defaultNow(),
 });
 
 // Types for TypeScript
+export type Player = typeof players.$inferSelect;
+export type NewPlayer = typeof players.$inferInsert;
 export type Game = typeof games.$inferSelect;
 export type NewGame = typeof games.$inferInsert;
 export type Event = typeof events.$inferSelect;
 export type NewEvent = typeof events.$inferInsert;
 export type Session = typeof sessions.$inferSelect;
 export type NewSession = typeof sessions.$inferInsert;
+export type PauseInterval = typeof pauseIntervals.$inferSelect;
+export type NewPauseInterval = typeof pauseIntervals.$inferInsert;
+export type RemoteCommand = typeof remoteCommands.$inferSelect;
+export type NewRemoteCommand = typeof remoteCommands.$inferInsert;
@@ -0,0 +1,4 @@
+ALTER TABLE "sessions" ADD COLUMN "rule_set" text DEFAULT 'classic' NOT NULL;--> statement-breakpoint
+ALTER TABLE "sessions" ADD COLUMN "initial_misses" integer DEFAULT 3 NOT NULL;--> statement-breakpoint
+ALTER TABLE "sessions" ADD COLUMN "freebies_after_ten" integer DEFAULT 3 NOT NULL;--> statement-breakpoint
+ALTER TABLE "sessions" ADD COLUMN "multiplier_shots" integer DEFAULT 5 NOT NULL;
\ No newline at end of file
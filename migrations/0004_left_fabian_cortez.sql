@@ -0,0 +1 @@
+ALTER TABLE "events" ADD COLUMN "retracts_sequence_number" integer;
\ No newline at end of file
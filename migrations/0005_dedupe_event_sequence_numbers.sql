@@ -0,0 +1,44 @@
+-- Clear out colliding (game_id, sequence_number) pairs so the unique index in the next migration can be built.
+-- A retried write stored the same event twice: keep one copy of events that match in everything but their ID.
+DELETE FROM "events" "duplicate"
+USING "events" "kept"
+WHERE "duplicate"."game_id" = "kept"."game_id"
+  AND "duplicate"."sequence_number" = "kept"."sequence_number"
+  AND "duplicate"."event_type" = "kept"."event_type"
+  AND "duplicate"."score" = "kept"."score"
+  AND "duplicate"."multiplier" = "kept"."multiplier"
+  AND "duplicate"."multiplier_shots_remaining" = "kept"."multiplier_shots_remaining"
+  AND "duplicate"."misses_remaining" = "kept"."misses_remaining"
+  AND "duplicate"."freebies_remaining" = "kept"."freebies_remaining"
+  AND "duplicate"."mode" = "kept"."mode"
+  AND "duplicate"."points_earned" IS NOT DISTINCT FROM "kept"."points_earned"
+  AND "duplicate"."used_freebie" IS NOT DISTINCT FROM "kept"."used_freebie"
+  AND "duplicate"."is_tip_in" IS NOT DISTINCT FROM "kept"."is_tip_in"
+  AND "duplicate"."retracts_sequence_number" IS NOT DISTINCT FROM "kept"."retracts_sequence_number"
+  AND "duplicate"."id" > "kept"."id";
+--> statement-breakpoint
+-- Two tabs logging the same game numbered different events alike: renumber those games' events in the
+-- order they happened, pointing each undo and redo at the latest event before it that had the number it retracted.
+WITH "colliding_games" AS (
+  SELECT DISTINCT "game_id" FROM "events" GROUP BY "game_id", "sequence_number" HAVING count(*) > 1
+), "renumbered" AS (
+  SELECT
+    "id",
+    "game_id",
+    "sequence_number" AS "old_sequence_number",
+    row_number() OVER (PARTITION BY "game_id" ORDER BY "sequence_number", "occurred_at", "id") - 1 AS "new_sequence_number"
+  FROM "events"
+  WHERE "game_id" IN (SELECT "game_id" FROM "colliding_games")
+)
+UPDATE "events"
+SET
+  "sequence_number" = "renumbered"."new_sequence_number",
+  "retracts_sequence_number" = (
+    SELECT max("target"."new_sequence_number")
+    FROM "renumbered" "target"
+    WHERE "target"."game_id" = "events"."game_id"
+      AND "target"."old_sequence_number" = "events"."retracts_sequence_number"
+      AND "target"."new_sequence_number" < "renumbered"."new_sequence_number"
+  )
+FROM "renumbered"
+WHERE "events"."id" = "renumbered"."id";
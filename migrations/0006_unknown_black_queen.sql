@@ -0,0 +1 @@
+CREATE UNIQUE INDEX "events_game_id_sequence_number_idx" ON "events" USING btree ("game_id","sequence_number");
\ No newline at end of file
@@ -0,0 +1,2 @@
+ALTER TABLE "sessions" ADD COLUMN "controller_id" text;--> statement-breakpoint
+ALTER TABLE "sessions" ADD COLUMN "controller_lease_expires_at" timestamp;
\ No newline at end of file
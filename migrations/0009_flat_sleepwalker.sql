@@ -0,0 +1,10 @@
+CREATE TABLE "pause_intervals" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"session_id" uuid NOT NULL,
+	"paused_at" timestamp NOT NULL,
+	"resumed_at" timestamp,
+	"created_at" timestamp DEFAULT now() NOT NULL
+);
+--> statement-breakpoint
+ALTER TABLE "pause_intervals" ADD CONSTRAINT "pause_intervals_session_id_sessions_id_fk" FOREIGN KEY ("session_id") REFERENCES "public"."sessions"("id") ON DELETE cascade ON UPDATE no action;--> statement-breakpoint
+CREATE INDEX "pause_intervals_session_id_idx" ON "pause_intervals" USING btree ("session_id");
\ No newline at end of file
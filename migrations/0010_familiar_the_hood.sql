@@ -0,0 +1,11 @@
+CREATE TABLE "players" (
+	"id" uuid PRIMARY KEY DEFAULT gen_random_uuid() NOT NULL,
+	"name" text NOT NULL,
+	"created_at" timestamp DEFAULT now() NOT NULL,
+	CONSTRAINT "players_name_unique" UNIQUE("name")
+);
+--> statement-breakpoint
+ALTER TABLE "games" ADD COLUMN "player_id" uuid;--> statement-breakpoint
+ALTER TABLE "sessions" ADD COLUMN "player_ids" uuid[];--> statement-breakpoint
+ALTER TABLE "sessions" ADD COLUMN "rotate_players" boolean DEFAULT false NOT NULL;--> statement-breakpoint
+ALTER TABLE "games" ADD CONSTRAINT "games_player_id_players_id_fk" FOREIGN KEY ("player_id") REFERENCES "public"."players"("id") ON DELETE set null ON UPDATE no action;
\ No newline at end of file
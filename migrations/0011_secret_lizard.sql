@@ -0,0 +1 @@
+ALTER TABLE "games" ADD COLUMN "awaiting_late_events" boolean DEFAULT false NOT NULL;
\ No newline at end of file
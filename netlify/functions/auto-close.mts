@@ -0,0 +1,90 @@
+import { db, sessions, games, events } from "../../db";
+import { and, eq, isNotNull, isNull, max } from "drizzle-orm";
+import { getTimerExpiry, isTimerExpired } from "../../src/sessionClock.js";
+import { loadPauseIntervals } from "../lib/sessionState";
+import { endGame, endSession } from "../lib/closeOut";
+
+/**
+ * Auto-close - scheduled function that ends what nobody came back to end
+ *
+ * Runs every few minutes and:
+ * 1. Ends sessions whose timer has run out, as of when it ran out - their
+ *    running games end with endReason 'session_ended'
+ * 2. Ends sessions left paused with nothing happening for STALE_AFTER_MS, as of
+ *    their last activity - their running games end with endReason 'abandoned'
+ * 3. Ends games still marked active in sessions that have already ended
+ *
+ * Games are closed the same way as PUT /api/game with ended: true - final stats
+ * from the event log, added to the session's aggregates once.
+ */
+
+const STALE_AFTER_MS = 2 * 60 * 60 * 1000;
+
+// When anything last happened in a session - a shot, a pause or resume, or its start
+async function getSessionLastActivity(session: any, pauses: any[]) {
+  const [{ lastEventAt }] = await db
+    .select({ lastEventAt: max(events.occurredAt) })
+    .from(events)
+    .innerJoin(games, eq(events.gameId, games.id))
+    .where(eq(games.sessionId, session.id));
+
+  const times = [
+    session.startedAt,
+    lastEventAt,
+    ...pauses.flatMap(pause => [pause.pausedAt, pause.resumedAt]),
+  ].filter(Boolean).map(time => new Date(time).getTime());
+
+  return new Date(Math.max(...times));
+}
+
+export default async (req: Request) => {
+  const now = Date.now();
+  const closed = { expiredSessions: 0, abandonedSessions: 0, orphanedGames: 0 };
+
+  try {
+    const openSessions = await db.query.sessions.findMany({
+      where: isNull(sessions.endedAt),
+    });
+
+    for (const session of openSessions) {
+      const pauses = await loadPauseIntervals(session.id);
+
+      if (isTimerExpired(session, pauses, now)) {
+        if (await endSession(session, getTimerExpiry(session, pauses, now), 'session_ended')) {
+          closed.expiredSessions++;
+        }
+        continue;
+      }
+
+      // A running session's timer always runs out, so only a paused one can be left open for good
+      const lastActivity = await getSessionLastActivity(session, pauses);
+      if (session.isPaused && now - lastActivity.getTime() >= STALE_AFTER_MS) {
+        if (await endSession(session, lastActivity, 'abandoned')) {
+          closed.abandonedSessions++;
+        }
+      }
+    }
+
+    const orphanedGames = await db
+      .select({ game: games, session: sessions })
+      .from(games)
+      .innerJoin(sessions, eq(games.sessionId, sessions.id))
+      .where(and(eq(games.isActive, true), isNotNull(sessions.endedAt)));
+
+    for (const { game, session } of orphanedGames) {
+      if (await endGame(game, session, { endedAt: new Date(session.endedAt!), endReason: 'session_ended' })) {
+        closed.orphanedGames++;
+      }
+    }
+
+    console.log("Auto-close finished:", closed);
+    return Response.json({ success: true, closed });
+  } catch (error) {
+    console.error("Error auto-closing sessions:", error);
+    return Response.json({ error: "Failed to auto-close sessions" }, { status: 500 });
+  }
+};
+
+export const config = {
+  schedule: "*/5 * * * *"
+};
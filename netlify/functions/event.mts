@@ -1,5 +1,289 @@
 import type { Context } from "@netlify/functions";
-import { db, events } from "../../db";
+import { db, games, events, sessions } from "../../db";
+import { eq, asc, desc, sql } from "drizzle-orm";
+import { applyAction, applyFinalShot, eventToAction, getActionError, getLastRedoableEvent, getLastUndoableEvent, getSessionRules, replayEvents } from "../../src/gameRules.js";
+import { isUuid, parseClientTimestamp } from "../lib/clientInput";
+import { getControllerError } from "../lib/sessionControl";
+
+// Event types a client may send - game_start is written by POST /api/game
+const CLIENT_EVENT_TYPES = ['make', 'miss', 'mode_change', 'undo', 'redo', 'game_end', 'final_shot'];
+
+type EventRejection = { error: string; status: number; sequenceNumber?: number };
+
+// Why a final shot can't be added to this game, or null if it can
+async function getFinalShotError(game: any, log: any[]): Promise<string | null> {
+  if (game.isActive) {
+    return "the game hasn't ended yet";
+  }
+
+  if (log.some(e => e.eventType === 'final_shot')) {
+    return 'the game already has a final shot';
+  }
+
+  const lastGame = await db.query.games.findFirst({
+    where: eq(games.sessionId, game.sessionId),
+    orderBy: [desc(games.startedAt)],
+  });
+  if (lastGame?.id !== game.id) {
+    return "only the session's last game gets a final shot";
+  }
+
+  return null;
+}
+
+// Bring an ended game's final stats, and its session's aggregates, in line with
+// its event log after events were added to it (a final shot, or shots that
+// reached the server after the game had already been closed out)
+async function refreshEndedGameTotals(gameId: string) {
+  const game = await db.query.games.findFirst({
+    where: eq(games.id, gameId),
+  });
+  if (!game) return;
+
+  const session = await db.query.sessions.findFirst({
+    where: eq(sessions.id, game.sessionId),
+  });
+  const gameEvents = await db.query.events.findMany({
+    where: eq(events.gameId, gameId),
+    orderBy: [asc(events.sequenceNumber)],
+  });
+  const replay = replayEvents(gameEvents, getSessionRules(session));
+  const finalScore = replay.state.score;
+
+  await db.update(games)
+    .set({
+      finalScore,
+      highMultiplier: replay.highMultiplier,
+      totalMakes: replay.totalMakes,
+      totalMisses: replay.totalMisses,
+    })
+    .where(eq(games.id, gameId));
+
+  // The session's high score is taken again from its ended games, as a late undo can lower it
+  await db.update(sessions)
+    .set({
+      totalPoints: sql`${sessions.totalPoints} + ${finalScore - game.finalScore}`,
+      highScore: sql`(SELECT COALESCE(MAX(${games.finalScore}), 0) FROM ${games} WHERE ${games.sessionId} = ${game.sessionId} AND NOT ${games.isActive})`,
+    })
+    .where(eq(sessions.id, game.sessionId));
+}
+
+/**
+ * Validate incoming events for one game and compute the state they produce
+ *
+ * The game's stored events are replayed to get the current state, then each
+ * incoming event must continue the sequence and be a legal action from there
+ * under the session's rules. An undo must retract the most recent action still
+ * in effect, and a redo must reverse the most recent undo still in effect.
+ * A final_shot is only accepted once the session's last game has ended, and is
+ * the only event an ended game accepts - unless the server closed the game out
+ * before its tab ended it, in which case the tab's queued events still continue
+ * its sequence until the tab's own end write arrives.
+ * Only events from the tab controlling the session are accepted at all.
+ * Whatever state the client sent is ignored - the stored state is always the
+ * one the rules engine produces.
+ *
+ * Events whose ID is already stored are retries of a write that went through,
+ * so they're skipped and returned in duplicateIds.
+ */
+async function buildGameEvents(gameId: string, incoming: any[]): Promise<{ rows: any[]; duplicateIds: string[]; gameEnded: boolean } | EventRejection> {
+  const game = await db.query.games.findFirst({
+    where: eq(games.id, gameId),
+  });
+
+  if (!game) {
+    return { error: `Game ${gameId} not found`, status: 404 };
+  }
+
+  const session = await db.query.sessions.findFirst({
+    where: eq(sessions.id, game.sessionId),
+  });
+  const rules = getSessionRules(session);
+
+  const existingEvents = await db.query.events.findMany({
+    where: eq(events.gameId, gameId),
+    orderBy: [asc(events.sequenceNumber)],
+  });
+
+  // Every event so far, including the ones being built, for resolving undos
+  const log: any[] = [...existingEvents];
+  let state = replayEvents(log, rules).state;
+  let lastSequenceNumber = existingEvents.length > 0
+    ? existingEvents[existingEvents.length - 1].sequenceNumber
+    : -1;
+
+  const existingIds = new Set(existingEvents.map(e => e.id));
+  const duplicateIds: string[] = [];
+
+  const rows = [];
+  for (const e of incoming) {
+    if (existingIds.has(e.id)) {
+      duplicateIds.push(e.id);
+      continue;
+    }
+
+    const controllerError = getControllerError(session, e.controllerId);
+    if (controllerError) {
+      return { error: controllerError, status: 409, sequenceNumber: e.sequenceNumber };
+    }
+
+    if (!CLIENT_EVENT_TYPES.includes(e.eventType)) {
+      return { error: `Unsupported eventType: ${e.eventType}`, status: 400, sequenceNumber: e.sequenceNumber };
+    }
+
+    if (e.sequenceNumber !== lastSequenceNumber + 1) {
+      return {
+        error: `Expected sequenceNumber ${lastSequenceNumber + 1} but got ${e.sequenceNumber}`,
+        status: 409,
+        sequenceNumber: e.sequenceNumber,
+      };
+    }
+
+    // Once a game has ended, the only thing left to record is its final shot - apart
+    // from the rest of its sequence when the server closed it out while its tab was
+    // offline, up until that tab's own end write (whenever the client says they happened)
+    if (!game.isActive && e.eventType !== 'final_shot' && !game.awaitingLateEvents) {
+      return { error: `Illegal ${e.eventType}: the game has ended`, status: 422, sequenceNumber: e.sequenceNumber };
+    }
+
+    const previousMode = state.mode;
+    let pointsEarned = 0;
+    let usedFreebie = false;
+
+    const action = eventToAction(e);
+    if (e.eventType === 'undo' || e.eventType === 'redo') {
+      const target = e.eventType === 'undo' ? getLastUndoableEvent(log) : getLastRedoableEvent(log);
+      if (!target || target.sequenceNumber !== e.retractsSequenceNumber) {
+        return {
+          error: `Illegal ${e.eventType}: expected to retract ${target ? `sequenceNumber ${target.sequenceNumber}` : 'nothing'}`,
+          status: 422,
+          sequenceNumber: e.sequenceNumber,
+        };
+      }
+
+      state = replayEvents([...log, e], rules).state;
+    } else if (e.eventType === 'final_shot') {
+      const finalShotError = await getFinalShotError(game, log);
+      if (finalShotError) {
+        return { error: `Illegal final_shot: ${finalShotError}`, status: 422, sequenceNumber: e.sequenceNumber };
+      }
+
+      const result = applyFinalShot(state, !!e.made);
+      state = result.state;
+      pointsEarned = result.pointsEarned;
+    } else if (action) {
+      const actionError = getActionError(state, action);
+      if (actionError) {
+        return { error: `Illegal ${e.eventType}: ${actionError}`, status: 422, sequenceNumber: e.sequenceNumber };
+      }
+
+      const result = applyAction(state, action, rules);
+      state = result.state;
+      pointsEarned = result.pointsEarned;
+      usedFreebie = result.usedFreebie;
+    }
+
+    rows.push({
+      id: e.id,
+      gameId,
+      eventType: e.eventType,
+      score: state.score,
+      multiplier: state.multiplier,
+      multiplierShotsRemaining: state.multiplierShotsRemaining,
+      missesRemaining: state.misses,
+      freebiesRemaining: state.freebiesRemaining,
+      mode: state.mode,
+      pointsEarned,
+      previousMode: e.eventType === 'mode_change' ? previousMode : null,
+      newMode: e.eventType === 'mode_change' ? state.mode : null,
+      usedFreebie,
+      isTipIn: !!e.isTipIn,
+      retractsSequenceNumber: e.eventType === 'undo' || e.eventType === 'redo' ? e.retractsSequenceNumber : null,
+      sequenceNumber: e.sequenceNumber,
+      // Events can reach the server long after they happened, so keep the client's time
+      occurredAt: parseClientTimestamp(e.occurredAt),
+    });
+    log.push(rows[rows.length - 1]);
+    lastSequenceNumber = e.sequenceNumber;
+  }
+
+  return { rows, duplicateIds, gameEnded: !game.isActive };
+}
+
+// Whether an insert failed on the unique (game_id, sequence_number) index
+function isSequenceConflict(error: any) {
+  const cause = error?.cause ?? error;
+  return cause?.code === '23505' && cause?.constraint === 'events_game_id_sequence_number_idx';
+}
+
+/**
+ * Validate a batch of events (possibly spanning games) and insert them all at once
+ *
+ * Safe to retry: events already stored (matched by their client-generated ID)
+ * aren't inserted again. Returns the newly inserted events along with the IDs
+ * of the ones that weren't new.
+ */
+async function ingestEvents(incoming: any[]) {
+  // Group by game, keeping the order events arrived in
+  const byGame = new Map<string, any[]>();
+  for (const e of incoming) {
+    if (!e.gameId || !e.eventType || e.sequenceNumber === undefined) {
+      return { error: "gameId, eventType, and sequenceNumber are required", status: 400 };
+    }
+    if (!isUuid(e.id)) {
+      return { error: "id must be a UUID", status: 400 };
+    }
+    if (!byGame.has(e.gameId)) byGame.set(e.gameId, []);
+    byGame.get(e.gameId)!.push(e);
+  }
+
+  const rows: any[] = [];
+  const duplicateIds: string[] = [];
+  const endedGameIds = new Set<string>();
+  for (const [gameId, gameEvents] of byGame) {
+    const built = await buildGameEvents(gameId, gameEvents);
+    if ('error' in built) {
+      return { ...built, gameId };
+    }
+    rows.push(...built.rows);
+    duplicateIds.push(...built.duplicateIds);
+    if (built.gameEnded) endedGameIds.add(gameId);
+  }
+
+  if (rows.length === 0) {
+    return { events: [], duplicateIds };
+  }
+
+  // A concurrent retry may have stored the same events since they were validated -
+  // those conflict on their ID and are reported as duplicates. A different event
+  // taking one of these sequence numbers in the meantime is a conflict.
+  let insertedEvents;
+  try {
+    insertedEvents = await db.insert(events)
+      .values(rows)
+      .onConflictDoNothing({ target: events.id })
+      .returning();
+  } catch (error) {
+    if (isSequenceConflict(error)) {
+      return { error: "Another event was recorded at one of these sequence numbers", status: 409 };
+    }
+    throw error;
+  }
+
+  const insertedIds = new Set(insertedEvents.map(e => e.id));
+  for (const row of rows) {
+    if (!insertedIds.has(row.id)) duplicateIds.push(row.id);
+  }
+
+  // Games that have already been closed out need their totals brought up to date
+  for (const gameId of endedGameIds) {
+    if (insertedEvents.some(e => e.gameId === gameId)) {
+      await refreshEndedGameTotals(gameId);
+    }
+  }
+
+  return { events: insertedEvents, duplicateIds };
+}
 
 export default async (req: Request, context: Context) => {
   const method = req.method;
@@ -8,54 +292,24 @@ export default async (req: Request, context: Context) => {
   if (method === "POST") {
     try {
       const body = await req.json();
-      const {
-        gameId,
-        eventType,
-        score,
-        multiplier,
-        multiplierShotsRemaining,
-        missesRemaining,
-        freebiesRemaining,
-        mode,
-        pointsEarned,
-        previousMode,
-        newMode,
-        usedFreebie,
-        isTipIn,
-        sequenceNumber,
-      } = body;
-
-      if (!gameId || !eventType || sequenceNumber === undefined) {
-        return Response.json({
-          error: "gameId, eventType, and sequenceNumber are required"
-        }, { status: 400 });
+      const result = await ingestEvents([body]);
+
+      if ('error' in result) {
+        const { status, ...rejection } = result;
+        return Response.json(rejection, { status });
       }
 
-      const [event] = await db.insert(events).values({
-        gameId,
-        eventType,
-        score: score ?? 0,
-        multiplier: multiplier ?? 1,
-        multiplierShotsRemaining: multiplierShotsRemaining ?? 0,
-        missesRemaining: missesRemaining ?? 3,
-        freebiesRemaining: freebiesRemaining ?? 0,
-        mode: mode ?? 'multiplier',
-        pointsEarned,
-        previousMode,
-        newMode,
-        usedFreebie,
-        isTipIn,
-        sequenceNumber,
-      }).returning();
-
-      return Response.json({ event });
+      return Response.json({
+        event: result.events[0] ?? null,
+        duplicate: result.duplicateIds.length > 0,
+      });
     } catch (error) {
       console.error("Error recording event:", error);
       return Response.json({ error: "Failed to record event" }, { status: 500 });
     }
   }
 
-  // POST with batch - Record multiple events at once (for offline sync)
+  // PUT - Record multiple events at once (for offline sync) - an idempotent upsert
   if (method === "PUT") {
     try {
       const body = await req.json();
@@ -65,26 +319,18 @@ export default async (req: Request, context: Context) => {
         return Response.json({ error: "events array is required" }, { status: 400 });
       }
 
-      const insertedEvents = await db.insert(events).values(
-        eventBatch.map((e: any) => ({
-          gameId: e.gameId,
-          eventType: e.eventType,
-          score: e.score ?? 0,
-          multiplier: e.multiplier ?? 1,
-          multiplierShotsRemaining: e.multiplierShotsRemaining ?? 0,
-          missesRemaining: e.missesRemaining ?? 3,
-          freebiesRemaining: e.freebiesRemaining ?? 0,
-          mode: e.mode ?? 'multiplier',
-          pointsEarned: e.pointsEarned,
-          previousMode: e.previousMode,
-          newMode: e.newMode,
-          usedFreebie: e.usedFreebie,
-          isTipIn: e.isTipIn,
-          sequenceNumber: e.sequenceNumber,
-        }))
-      ).returning();
+      const result = await ingestEvents(eventBatch);
+
+      if ('error' in result) {
+        const { status, ...rejection } = result;
+        return Response.json(rejection, { status });
+      }
 
-      return Response.json({ events: insertedEvents });
+      // events holds only the newly recorded events - duplicateEventIds were already stored
+      return Response.json({
+        events: result.events,
+        duplicateEventIds: result.duplicateIds,
+      });
     } catch (error) {
       console.error("Error batch recording events:", error);
       return Response.json({ error: "Failed to batch record events" }, { status: 500 });
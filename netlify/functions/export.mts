@@ -0,0 +1,78 @@
+import type { Context } from "@netlify/functions";
+import { strToU8, zipSync } from "fflate";
+import { isUuid } from "../lib/clientInput";
+import { EXPORT_VERSION, loadExport, toCsvFiles } from "../lib/export";
+
+/**
+ * Export - download sessions with their games, events and pauses
+ *
+ * GET /api/export?ids=<sessionId>,<sessionId>&format=json|csv
+ *
+ * - json (default): one document, { version, exportedAt, sessions } with each
+ *   session's games and pauseIntervals nested under it and each game's events
+ *   under that (what POST /api/import takes)
+ * - csv: a zip of sessions.csv, games.csv, events.csv and pause_intervals.csv
+ *
+ * Every column in db/schema.ts is included - the CSVs are headed with the
+ * database column names, so they line up with the tables. The controller lease
+ * and pairing code aren't exported, so those columns are left empty.
+ */
+
+const FORMATS = ["json", "csv"];
+const MAX_SESSIONS = 100;
+
+export default async (req: Request, context: Context) => {
+  if (req.method !== "GET") {
+    return Response.json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  const url = new URL(req.url);
+  const format = url.searchParams.get("format") ?? "json";
+  const sessionIds = [...new Set((url.searchParams.get("ids") ?? "").split(",").filter(Boolean))];
+
+  if (!FORMATS.includes(format)) {
+    return Response.json({ error: `format must be one of: ${FORMATS.join(", ")}` }, { status: 400 });
+  }
+  if (sessionIds.length === 0 || !sessionIds.every(isUuid)) {
+    return Response.json({ error: "ids must be a comma-separated list of session UUIDs" }, { status: 400 });
+  }
+  if (sessionIds.length > MAX_SESSIONS) {
+    return Response.json({ error: `At most ${MAX_SESSIONS} sessions can be exported at once` }, { status: 400 });
+  }
+
+  try {
+    const exported = await loadExport(sessionIds);
+    if (exported.length === 0) {
+      return Response.json({ error: "Sessions not found" }, { status: 404 });
+    }
+
+    const filename = `scoreboard-export-${new Date().toISOString().slice(0, 10)}`;
+
+    if (format === "csv") {
+      const files = Object.fromEntries(
+        Object.entries(toCsvFiles(exported)).map(([name, csv]) => [name, strToU8(csv)])
+      );
+      return new Response(zipSync(files), {
+        headers: {
+          "Content-Type": "application/zip",
+          "Content-Disposition": `attachment; filename="${filename}.zip"`,
+        },
+      });
+    }
+
+    const document = { version: EXPORT_VERSION, exportedAt: new Date(), sessions: exported };
+    return new Response(JSON.stringify(document, null, 2), {
+      headers: {
+        "Content-Type": "application/json",
+        "Content-Disposition": `attachment; filename="${filename}.json"`,
+      },
+    });
+  } catch (error) {
+    console.error("Error exporting sessions:", error);
+    return Response.json({ error: "Failed to export sessions" }, { status: 500 });
+  }
+};
+
+export const config = {
+  path: '/api/export'
+};
@@ -1,6 +1,10 @@
 import type { Context } from "@netlify/functions";
 import { db, games, events, sessions } from "../../db";
-import { eq, sql } from "drizzle-orm";
+import { asc, eq, inArray } from "drizzle-orm";
+import { getSessionRules } from "../../src/gameRules.js";
+import { isUuid, parseClientTimestamp } from "../lib/clientInput";
+import { getControllerError } from "../lib/sessionControl";
+import { endGame } from "../lib/closeOut";
 
 export default async (req: Request, context: Context) => {
   const method = req.method;
@@ -9,14 +13,53 @@ export default async (req: Request, context: Context) => {
   if (method === "POST") {
     try {
       const body = await req.json();
-      const { sessionId } = body;
+      // id and startedAt come from the client, which may be sending this from its outbox well after the fact
+      const { id, sessionId, startedAt, controllerId, playerId = null } = body;
 
       if (!sessionId) {
         return Response.json({ error: "sessionId is required" }, { status: 400 });
       }
 
+      if (id !== undefined) {
+        if (!isUuid(id)) {
+          return Response.json({ error: "id must be a UUID" }, { status: 400 });
+        }
+
+        // A retry of a create that already went through
+        const existing = await db.query.games.findFirst({
+          where: eq(games.id, id),
+        });
+        if (existing) {
+          return Response.json({ game: existing });
+        }
+      }
+
+      const session = await db.query.sessions.findFirst({
+        where: eq(sessions.id, sessionId),
+      });
+
+      if (!session) {
+        return Response.json({ error: "Session not found" }, { status: 404 });
+      }
+
+      const controllerError = getControllerError(session, controllerId);
+      if (controllerError) {
+        return Response.json({ error: controllerError }, { status: 409 });
+      }
+
+      // A game's player has to be one of the session's players
+      if (playerId !== null && !session.playerIds?.includes(playerId)) {
+        return Response.json({ error: "playerId isn't one of this session's players" }, { status: 422 });
+      }
+
+      const rules = getSessionRules(session);
+
       const [game] = await db.insert(games).values({
+        id,
         sessionId,
+        playerId,
+        startedAt: parseClientTimestamp(startedAt),
+        currentMisses: rules.initialMisses,
       }).returning();
 
       // Set this as the current game on the session
@@ -31,10 +74,11 @@ export default async (req: Request, context: Context) => {
         score: 0,
         multiplier: 1,
         multiplierShotsRemaining: 0,
-        missesRemaining: 3,
+        missesRemaining: rules.initialMisses,
         freebiesRemaining: 0,
         mode: 'multiplier',
         sequenceNumber: 0,
+        occurredAt: game.startedAt,
       });
 
       return Response.json({ game });
@@ -65,12 +109,31 @@ export default async (req: Request, context: Context) => {
         durationSeconds,
         endReason,
         ended, // Flag to indicate game is ending
+        endedAt,
+        controllerId,
       } = body;
 
       if (!gameId) {
         return Response.json({ error: "gameId is required" }, { status: 400 });
       }
 
+      const existingGame = await db.query.games.findFirst({
+        where: eq(games.id, gameId),
+      });
+
+      if (!existingGame) {
+        return Response.json({ error: "Game not found" }, { status: 404 });
+      }
+
+      const session = await db.query.sessions.findFirst({
+        where: eq(sessions.id, existingGame.sessionId),
+      });
+
+      const controllerError = getControllerError(session, controllerId);
+      if (controllerError) {
+        return Response.json({ error: controllerError }, { status: 409 });
+      }
+
       // Build update object dynamically
       const updateData: Record<string, any> = {};
 
@@ -90,10 +153,29 @@ export default async (req: Request, context: Context) => {
       if (durationSeconds !== undefined) updateData.durationSeconds = durationSeconds;
       if (endReason !== undefined) updateData.endReason = endReason;
 
-      // If ending the game
+      // Ending the game - final stats and the session's aggregates come from the event log
       if (ended) {
-        updateData.endedAt = new Date();
-        updateData.isActive = false;
+        const game = await endGame(existingGame, session, {
+          endedAt: parseClientTimestamp(endedAt) ?? new Date(),
+          endReason,
+          durationSeconds,
+          updates: updateData,
+        });
+
+        if (game) {
+          return Response.json({ game });
+        }
+
+        // Already ended (a retry, or the auto-close got there first) - it's only counted once.
+        // The tab's outbox sends its shots before this, so none are left to wait for.
+        if (existingGame.awaitingLateEvents) {
+          const [closedGame] = await db.update(games)
+            .set({ awaitingLateEvents: false })
+            .where(eq(games.id, gameId))
+            .returning();
+          return Response.json({ game: closedGame });
+        }
+        return Response.json({ game: existingGame });
       }
 
       const [game] = await db.update(games)
@@ -101,18 +183,6 @@ export default async (req: Request, context: Context) => {
         .where(eq(games.id, gameId))
         .returning();
 
-      // If ending the game, update session stats and clear currentGameId
-      if (ended && game) {
-        await db.update(sessions)
-          .set({
-            totalGames: sql`${sessions.totalGames} + 1`,
-            totalPoints: sql`${sessions.totalPoints} + ${finalScore || 0}`,
-            highScore: sql`GREATEST(${sessions.highScore}, ${finalScore || 0})`,
-            currentGameId: null,
-          })
-          .where(eq(sessions.id, game.sessionId));
-      }
-
       return Response.json({ game });
     } catch (error) {
       console.error("Error updating game:", error);
@@ -121,10 +191,28 @@ export default async (req: Request, context: Context) => {
   }
 
   // GET - Get game details with events
+  // With sessionId param instead: the events of every game in the session (for charting them together)
   if (method === "GET") {
     try {
       const url = new URL(req.url);
       const gameId = url.searchParams.get("id");
+      const sessionId = url.searchParams.get("sessionId");
+
+      if (!gameId && sessionId) {
+        const sessionGames = await db.query.games.findMany({
+          where: eq(games.sessionId, sessionId),
+          columns: { id: true },
+        });
+
+        const sessionEvents = sessionGames.length > 0
+          ? await db.query.events.findMany({
+            where: inArray(events.gameId, sessionGames.map(g => g.id)),
+            orderBy: [asc(events.gameId), asc(events.sequenceNumber)],
+          })
+          : [];
+
+        return Response.json({ events: sessionEvents });
+      }
 
       if (!gameId) {
         return Response.json({ error: "Game ID is required" }, { status: 400 });
@@ -0,0 +1,49 @@
+import type { Context } from "@netlify/functions";
+import { importSessions, parseImport } from "../lib/import";
+
+/**
+ * Import - bring in sessions from a JSON export, e.g. to move to another
+ * database or restore a backup
+ *
+ * POST /api/import
+ * Body: the document from GET /api/export?format=json, { version, sessions }
+ *
+ * Sessions, games, events and pause intervals are inserted with fresh IDs, so
+ * an export can even be imported back into the database it came from. Nothing
+ * is inserted unless every game's events are in order and every value fits its
+ * column. Each imported session is then
+ * recalculated from its events, the same way as POST /api/recalculate, so
+ * its totals and game results don't rely on the cached values in the export.
+ *
+ * Returns { sessions } - the imported sessions, in the export's order.
+ */
+
+export default async (req: Request, context: Context) => {
+  if (req.method !== "POST") {
+    return Response.json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  let document: unknown;
+  try {
+    document = await req.json();
+  } catch {
+    return Response.json({ error: "Body must be a JSON export document" }, { status: 400 });
+  }
+
+  const parsed = parseImport(document);
+  if ("error" in parsed) {
+    return Response.json({ error: parsed.error }, { status: parsed.status });
+  }
+
+  try {
+    const sessions = await importSessions(parsed.sessions);
+    return Response.json({ sessions });
+  } catch (error) {
+    console.error("Error importing sessions:", error);
+    return Response.json({ error: "Failed to import sessions" }, { status: 500 });
+  }
+};
+
+export const config = {
+  path: '/api/import'
+};
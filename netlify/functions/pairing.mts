@@ -0,0 +1,112 @@
+import type { Context } from "@netlify/functions";
+import { randomInt } from "node:crypto";
+import { db, sessions } from "../../db";
+import { eq } from "drizzle-orm";
+
+// No 0/O, 1/I/L - the code gets read off a TV across the room
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 6;
+
+function generatePairingCode() {
+  let code = "";
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Pairing endpoint - Links a phone (the remote controller) to a running session
+ *
+ * POST /api/pairing  Body: { sessionId, controllerId }
+ *   Returns the session's pairing code, creating one the first time it's asked for.
+ *   Only the tab holding the session's controller lease gets it - the code lets
+ *   a phone control the session.
+ *
+ * GET /api/pairing?code=<code>
+ *   Returns { sessionId } for the session with that code, if it's still running
+ */
+export default async (req: Request, context: Context) => {
+  const method = req.method;
+
+  // POST - Get (or create) the pairing code for a session
+  if (method === "POST") {
+    try {
+      const body = await req.json();
+      const { sessionId, controllerId } = body;
+
+      if (!sessionId || !controllerId) {
+        return Response.json({ error: "sessionId and controllerId are required" }, { status: 400 });
+      }
+
+      const session = await db.query.sessions.findFirst({
+        where: eq(sessions.id, sessionId),
+      });
+
+      if (!session) {
+        return Response.json({ error: "Session not found" }, { status: 404 });
+      }
+
+      if (session.endedAt) {
+        return Response.json({ error: "Session has ended" }, { status: 409 });
+      }
+
+      if (session.controllerId !== controllerId) {
+        return Response.json({ error: "Only the tab controlling this session can pair a remote" }, { status: 409 });
+      }
+
+      if (session.pairingCode) {
+        return Response.json({ pairingCode: session.pairingCode });
+      }
+
+      // Codes are unique - try again on the rare collision
+      for (let attempt = 0; attempt < 5; attempt++) {
+        try {
+          const [updated] = await db.update(sessions)
+            .set({ pairingCode: generatePairingCode() })
+            .where(eq(sessions.id, sessionId))
+            .returning();
+          return Response.json({ pairingCode: updated.pairingCode });
+        } catch (error) {
+          console.error("Pairing code collision, retrying:", error);
+        }
+      }
+
+      return Response.json({ error: "Failed to create pairing code" }, { status: 500 });
+    } catch (error) {
+      console.error("Error creating pairing code:", error);
+      return Response.json({ error: "Failed to create pairing code" }, { status: 500 });
+    }
+  }
+
+  // GET - Look up the session for a pairing code
+  if (method === "GET") {
+    try {
+      const url = new URL(req.url);
+      const code = url.searchParams.get("code")?.trim().toUpperCase();
+
+      if (!code) {
+        return Response.json({ error: "code is required" }, { status: 400 });
+      }
+
+      const session = await db.query.sessions.findFirst({
+        where: eq(sessions.pairingCode, code),
+      });
+
+      if (!session || session.endedAt) {
+        return Response.json({ error: "No running session has that code" }, { status: 404 });
+      }
+
+      return Response.json({ sessionId: session.id });
+    } catch (error) {
+      console.error("Error looking up pairing code:", error);
+      return Response.json({ error: "Failed to look up pairing code" }, { status: 500 });
+    }
+  }
+
+  return Response.json({ error: "Method not allowed" }, { status: 405 });
+};
+
+export const config = {
+  path: '/api/pairing'
+};
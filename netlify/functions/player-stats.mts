@@ -0,0 +1,70 @@
+import type { Context } from "@netlify/functions";
+import { db, players, games } from "../../db";
+import { and, eq } from "drizzle-orm";
+import { isUuid } from "../lib/clientInput";
+import { loadEventsByGame } from "../lib/gameEvents";
+import { addGameShots, createShotTotals } from "../../src/shotStats.js";
+
+/**
+ * Player stats - a shooter's lifetime numbers across every game they've finished
+ *
+ * GET /api/player/stats?id=<playerId>
+ *
+ * Scores and multipliers come from the games table; the shot breakdown (by
+ * mode, tip-ins, freebies) is worked out from the games' event logs.
+ */
+export default async (req: Request, context: Context) => {
+  if (req.method !== "GET") {
+    return Response.json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  const url = new URL(req.url);
+  const playerId = url.searchParams.get("id");
+
+  if (!isUuid(playerId)) {
+    return Response.json({ error: "id must be a UUID" }, { status: 400 });
+  }
+
+  try {
+    const player = await db.query.players.findFirst({
+      where: eq(players.id, playerId),
+    });
+
+    if (!player) {
+      return Response.json({ error: "Player not found" }, { status: 404 });
+    }
+
+    const playerGames = await db.query.games.findMany({
+      where: and(eq(games.playerId, playerId), eq(games.isActive, false)),
+    });
+
+    const eventsByGame = await loadEventsByGame(playerGames.map(g => g.id));
+    const shots = createShotTotals();
+    for (const game of playerGames) {
+      addGameShots(shots, eventsByGame.get(game.id) ?? []);
+    }
+
+    const scores = playerGames.map(g => g.finalScore);
+    const totalPoints = scores.reduce((sum, score) => sum + score, 0);
+
+    return Response.json({
+      player,
+      stats: {
+        gamesPlayed: playerGames.length,
+        bestScore: Math.max(0, ...scores),
+        averageScore: playerGames.length > 0 ? Math.round((totalPoints / playerGames.length) * 10) / 10 : 0,
+        totalPoints,
+        highestMultiplier: Math.max(1, ...playerGames.map(g => g.highMultiplier)),
+        totalShots: shots.multiplierMode.attempts + shots.pointMode.attempts,
+        ...shots,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching player stats:", error);
+    return Response.json({ error: "Failed to fetch player stats" }, { status: 500 });
+  }
+};
+
+export const config = {
+  path: '/api/player/stats'
+};
@@ -0,0 +1,68 @@
+import type { Context } from "@netlify/functions";
+import { db, players } from "../../db";
+import { asc, eq } from "drizzle-orm";
+import { isUuid } from "../lib/clientInput";
+
+export default async (req: Request, context: Context) => {
+  const method = req.method;
+
+  // POST - Add a player
+  if (method === "POST") {
+    try {
+      const body = await req.json();
+      const { id } = body;
+      const name = typeof body.name === "string" ? body.name.trim() : "";
+
+      if (!name) {
+        return Response.json({ error: "name is required" }, { status: 400 });
+      }
+
+      if (id !== undefined) {
+        if (!isUuid(id)) {
+          return Response.json({ error: "id must be a UUID" }, { status: 400 });
+        }
+
+        // A retry of a create that already went through
+        const existing = await db.query.players.findFirst({
+          where: eq(players.id, id),
+        });
+        if (existing) {
+          return Response.json({ player: existing });
+        }
+      }
+
+      const [player] = await db.insert(players)
+        .values({ id, name })
+        .onConflictDoNothing()
+        .returning();
+
+      if (!player) {
+        return Response.json({ error: `There's already a player called ${name}` }, { status: 409 });
+      }
+
+      return Response.json({ player });
+    } catch (error) {
+      console.error("Error creating player:", error);
+      return Response.json({ error: "Failed to create player" }, { status: 500 });
+    }
+  }
+
+  // GET - Get all players (alphabetical)
+  if (method === "GET") {
+    try {
+      const allPlayers = await db.query.players.findMany({
+        orderBy: [asc(players.name)],
+      });
+      return Response.json({ players: allPlayers });
+    } catch (error) {
+      console.error("Error fetching players:", error);
+      return Response.json({ error: "Failed to fetch players" }, { status: 500 });
+    }
+  }
+
+  return Response.json({ error: "Method not allowed" }, { status: 405 });
+};
+
+export const config = {
+  path: '/api/player'
+};
@@ -0,0 +1,66 @@
+import type { Context } from "@netlify/functions";
+import { db, sessions, remoteCommands } from "../../db";
+import { eq } from "drizzle-orm";
+import { isUuid } from "../lib/clientInput";
+
+// What a remote controller can do - the same action names the scoreboard's voice commands use
+const REMOTE_ACTIONS = ['make', 'miss', 'tip_make', 'tip_miss', 'enter_point_mode', 'enter_multiplier_mode', 'pause', 'resume', 'undo'];
+
+/**
+ * Remote command endpoint - Queues an action from a paired phone
+ *
+ * POST /api/remote/command
+ * Body: { id, sessionId, pairingCode, action }
+ *
+ * The scoreboard picks commands up from its session stream and runs them like
+ * voice commands, so it stays the only device writing the game's events.
+ */
+export default async (req: Request, context: Context) => {
+  if (req.method !== "POST") {
+    return Response.json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  try {
+    const body = await req.json();
+    const { id, sessionId, pairingCode, action } = body;
+
+    if (!sessionId || !pairingCode || !action) {
+      return Response.json({ error: "sessionId, pairingCode, and action are required" }, { status: 400 });
+    }
+
+    if (id !== undefined && !isUuid(id)) {
+      return Response.json({ error: "id must be a UUID" }, { status: 400 });
+    }
+
+    if (!REMOTE_ACTIONS.includes(action)) {
+      return Response.json({ error: `Unsupported action: ${action}` }, { status: 400 });
+    }
+
+    const session = await db.query.sessions.findFirst({
+      where: eq(sessions.id, sessionId),
+    });
+
+    // The pairing code is what lets a phone control the session
+    if (!session || session.pairingCode !== pairingCode) {
+      return Response.json({ error: "Not paired with this session" }, { status: 403 });
+    }
+
+    if (session.endedAt) {
+      return Response.json({ error: "Session has ended" }, { status: 409 });
+    }
+
+    const [command] = await db.insert(remoteCommands)
+      .values({ id, sessionId, action })
+      .onConflictDoNothing()
+      .returning();
+
+    return Response.json({ command: command ?? null });
+  } catch (error) {
+    console.error("Error queueing remote command:", error);
+    return Response.json({ error: "Failed to queue remote command" }, { status: 500 });
+  }
+};
+
+export const config = {
+  path: '/api/remote/command'
+};
@@ -0,0 +1,54 @@
+import type { Context } from "@netlify/functions";
+import { db, sessions } from "../../db";
+import { eq } from "drizzle-orm";
+import { acquireControllerLease } from "../lib/sessionControl";
+
+/**
+ * Session control - claim the right to write to a session
+ *
+ * POST /api/session/control { sessionId, controllerId, takeOver? }
+ *
+ * A tab opening a session claims it if nobody else holds the controller lease
+ * (or theirs has run out). With takeOver, the lease moves to this tab whoever
+ * held it - the previous controller's writes are rejected from then on.
+ */
+export default async (req: Request, context: Context) => {
+  if (req.method !== "POST") {
+    return Response.json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  try {
+    const body = await req.json();
+    const { sessionId, controllerId, takeOver = false } = body;
+
+    if (!sessionId || !controllerId) {
+      return Response.json({ error: "sessionId and controllerId are required" }, { status: 400 });
+    }
+
+    const session = await acquireControllerLease(sessionId, controllerId, !!takeOver);
+    if (session) {
+      return Response.json({ controllerId: session.controllerId, leaseExpiresAt: session.controllerLeaseExpiresAt });
+    }
+
+    const existing = await db.query.sessions.findFirst({
+      where: eq(sessions.id, sessionId),
+    });
+
+    if (!existing) {
+      return Response.json({ error: "Session not found" }, { status: 404 });
+    }
+
+    if (existing.endedAt) {
+      return Response.json({ error: "Session has ended" }, { status: 409 });
+    }
+
+    return Response.json({ error: "Another tab is controlling this session" }, { status: 409 });
+  } catch (error) {
+    console.error("Error claiming session control:", error);
+    return Response.json({ error: "Failed to claim session control" }, { status: 500 });
+  }
+};
+
+export const config = {
+  path: '/api/session/control'
+};
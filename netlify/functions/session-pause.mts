@@ -0,0 +1,116 @@
+import type { Context } from "@netlify/functions";
+import { db, sessions, pauseIntervals } from "../../db";
+import { and, eq, isNull } from "drizzle-orm";
+import { isUuid, parseClientTimestamp } from "../lib/clientInput";
+import { getControllerError } from "../lib/sessionControl";
+import { syncPauseSummary } from "../lib/sessionState";
+
+/**
+ * Session pauses - each pause is recorded as an interval
+ *
+ * POST /api/session/pause { id, sessionId, pausedAt } - start a pause
+ * PUT /api/session/pause { sessionId, resumedAt } - end the running pause
+ *
+ * Both are safe to retry: a pause is recognized by its client-generated ID (and
+ * a session only has one running pause at a time), and resuming a session that
+ * isn't paused does nothing. The pause summary on the session row is updated
+ * from the intervals after every change.
+ */
+
+// The session a pause write is for, or the response rejecting the write
+async function getWritableSession(sessionId: string, controllerId: unknown) {
+  const session = await db.query.sessions.findFirst({
+    where: eq(sessions.id, sessionId),
+  });
+
+  if (!session) {
+    return { rejection: Response.json({ error: "Session not found" }, { status: 404 }) };
+  }
+
+  const controllerError = getControllerError(session, controllerId);
+  if (controllerError) {
+    return { rejection: Response.json({ error: controllerError }, { status: 409 }) };
+  }
+
+  return { session };
+}
+
+export default async (req: Request, context: Context) => {
+  const method = req.method;
+
+  // POST - Pause the session
+  if (method === "POST") {
+    try {
+      const body = await req.json();
+      const { id, sessionId, pausedAt, controllerId } = body;
+
+      if (!sessionId) {
+        return Response.json({ error: "sessionId is required" }, { status: 400 });
+      }
+
+      if (id !== undefined && !isUuid(id)) {
+        return Response.json({ error: "id must be a UUID" }, { status: 400 });
+      }
+
+      const { session, rejection } = await getWritableSession(sessionId, controllerId);
+      if (rejection) return rejection;
+
+      if (session.endedAt) {
+        return Response.json({ error: "Session has ended" }, { status: 409 });
+      }
+
+      // Already paused (or this is a retry) - keep the pause that's running
+      const running = await db.query.pauseIntervals.findFirst({
+        where: and(eq(pauseIntervals.sessionId, sessionId), isNull(pauseIntervals.resumedAt)),
+      });
+      if (running) {
+        return Response.json({ pause: running, session });
+      }
+
+      const [pause] = await db.insert(pauseIntervals)
+        .values({
+          id,
+          sessionId,
+          pausedAt: parseClientTimestamp(pausedAt) ?? new Date(),
+        })
+        .onConflictDoNothing()
+        .returning();
+
+      return Response.json({ pause: pause ?? null, session: await syncPauseSummary(sessionId) });
+    } catch (error) {
+      console.error("Error pausing session:", error);
+      return Response.json({ error: "Failed to pause session" }, { status: 500 });
+    }
+  }
+
+  // PUT - Resume the session
+  if (method === "PUT") {
+    try {
+      const body = await req.json();
+      const { sessionId, resumedAt, controllerId } = body;
+
+      if (!sessionId) {
+        return Response.json({ error: "sessionId is required" }, { status: 400 });
+      }
+
+      const { rejection } = await getWritableSession(sessionId, controllerId);
+      if (rejection) return rejection;
+
+      const [pause] = await db.update(pauseIntervals)
+        .set({ resumedAt: parseClientTimestamp(resumedAt) ?? new Date() })
+        .where(and(eq(pauseIntervals.sessionId, sessionId), isNull(pauseIntervals.resumedAt)))
+        .returning();
+
+      return Response.json({ pause: pause ?? null, session: await syncPauseSummary(sessionId) });
+    } catch (error) {
+      console.error("Error resuming session:", error);
+      return Response.json({ error: "Failed to resume session" }, { status: 500 });
+    }
+  }
+
+  return Response.json({ error: "Method not allowed" }, { status: 405 });
+};
+
+export const config = {
+  path: '/api/session/pause'
+};
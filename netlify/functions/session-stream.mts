@@ -0,0 +1,142 @@
+import type { Context } from "@netlify/functions";
+import { createHash } from "node:crypto";
+import { db, remoteCommands } from "../../db";
+import { and, asc, eq, inArray, isNull } from "drizzle-orm";
+import { loadSessionState } from "../lib/sessionState";
+import { CONTROLLER_LEASE_MS, renewControllerLease } from "../lib/sessionControl";
+
+/**
+ * Session stream - Server-Sent Events for every open client of a session
+ *
+ * GET /api/session/stream?id=<sessionId>[&controller=<controllerId>]
+ *
+ * Sends a `state` event with the same payload as GET /api/session?id= right away,
+ * then again whenever the session, its games or the current game's events change.
+ * The session is polled, since the database can't push changes to us.
+ *
+ * Each response only stays open for a few seconds (functions have an execution
+ * limit) - EventSource reconnects on its own, after the `retry` delay sent here.
+ * Every state event's id is a hash of its contents, which EventSource sends back
+ * as Last-Event-ID when it reconnects, so an unchanged session isn't resent.
+ * A session that doesn't exist yet (its create may still be in the client's
+ * outbox) just gets no events until it does.
+ *
+ * With controller= (the scoreboard), the stream keeps that tab's controller
+ * lease renewed while it holds it, and sends commands from a paired remote as
+ * `command` events. Only the controlling tab gets commands, and commands that
+ * waited too long are dropped rather than replayed late. A command is marked
+ * handled after it has been written to the stream, so one that was on its way
+ * when a connection dropped may be sent twice - clients skip command IDs
+ * they've already seen.
+ */
+
+const POLL_INTERVAL_MS = 1000;
+const STREAM_DURATION_MS = 8000;
+const RECONNECT_DELAY_MS = 500;
+const COMMAND_MAX_AGE_MS = 30000;
+// Renew well before the lease runs out, without writing on every poll
+const LEASE_RENEWAL_INTERVAL_MS = CONTROLLER_LEASE_MS / 3;
+
+// The session's unhandled remote commands, oldest first - commands that waited
+// too long are left out (and returned as stale, to be marked handled unsent)
+async function loadRemoteCommands(sessionId: string) {
+  const pending = await db.query.remoteCommands.findMany({
+    where: and(eq(remoteCommands.sessionId, sessionId), isNull(remoteCommands.handledAt)),
+    orderBy: [asc(remoteCommands.createdAt)],
+  });
+
+  const cutoff = Date.now() - COMMAND_MAX_AGE_MS;
+  const isFresh = (command: typeof pending[number]) => new Date(command.createdAt).getTime() >= cutoff;
+  return { fresh: pending.filter(isFresh), stale: pending.filter(command => !isFresh(command)) };
+}
+
+async function markCommandsHandled(commandIds: string[]) {
+  if (commandIds.length === 0) return;
+  await db.update(remoteCommands)
+    .set({ handledAt: new Date() })
+    .where(inArray(remoteCommands.id, commandIds));
+}
+
+// What has to differ for clients to need an update - timeRemaining changes every second on its own
+function getFingerprint(state: any) {
+  const { timeRemaining, ...rest } = state;
+  return createHash("sha1").update(JSON.stringify(rest)).digest("hex");
+}
+
+export default async (req: Request, context: Context) => {
+  if (req.method !== "GET") {
+    return Response.json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  const url = new URL(req.url);
+  const sessionId = url.searchParams.get("id");
+  const controllerId = url.searchParams.get("controller");
+
+  if (!sessionId) {
+    return Response.json({ error: "Session ID is required" }, { status: 400 });
+  }
+
+  const encoder = new TextEncoder();
+  const stream = new ReadableStream({
+    async start(controller) {
+      const send = (text: string) => controller.enqueue(encoder.encode(text));
+      const closeAt = Date.now() + STREAM_DURATION_MS;
+      let lastFingerprint = req.headers.get("last-event-id");
+      let nextLeaseRenewal = 0;
+
+      send(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+      while (!req.signal.aborted && Date.now() < closeAt) {
+        try {
+          const state = await loadSessionState(sessionId, controllerId);
+          const fingerprint = state ? getFingerprint(state) : null;
+
+          if (state && fingerprint !== lastFingerprint) {
+            send(`id: ${fingerprint}\nevent: state\ndata: ${JSON.stringify(state)}\n\n`);
+            lastFingerprint = fingerprint;
+          }
+
+          const holdsLease = !!controllerId && !!state?.session.isController && !state.isEnded;
+          if (holdsLease && Date.now() >= nextLeaseRenewal) {
+            await renewControllerLease(sessionId, controllerId);
+            nextLeaseRenewal = Date.now() + LEASE_RENEWAL_INTERVAL_MS;
+          }
+
+          if (holdsLease) {
+            const { fresh, stale } = await loadRemoteCommands(sessionId);
+            for (const command of fresh) {
+              send(`event: command\ndata: ${JSON.stringify({ id: command.id, action: command.action })}\n\n`);
+            }
+            // Commands only count as handled once they're on the stream - if the connection
+            // dropped first, the next stream sends them again
+            if (!req.signal.aborted) {
+              await markCommandsHandled([...fresh, ...stale].map(command => command.id));
+            }
+          }
+
+          // Nothing changes once the session has ended
+          if (state?.isEnded) break;
+        } catch (error) {
+          console.error("Error streaming session:", error);
+          break;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+      }
+
+      controller.close();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      "Connection": "keep-alive",
+    },
+  });
+};
+
+export const config = {
+  path: '/api/session/stream'
+};
@@ -1,6 +1,11 @@
 import type { Context } from "@netlify/functions";
-import { db, sessions, games } from "../../db";
-import { eq, desc } from "drizzle-orm";
+import { db, sessions, players } from "../../db";
+import { eq, inArray } from "drizzle-orm";
+import { RULE_PRESETS, DEFAULT_RULE_SET } from "../../src/gameRules.js";
+import { isUuid, parseClientTimestamp } from "../lib/clientInput";
+import { loadSessionState } from "../lib/sessionState";
+import { listSessions, parseSessionListQuery } from "../lib/sessionList";
+import { getControllerError, getLeaseExpiry, toPublicSession } from "../lib/sessionControl";
 
 export default async (req: Request, context: Context) => {
   const method = req.method;
@@ -9,10 +14,54 @@ export default async (req: Request, context: Context) => {
   if (method === "POST") {
     try {
       const body = await req.json();
-      const { durationSeconds = 600 } = body;
+      // id and startedAt come from the client, which may be sending this from its outbox well after the fact
+      const { id, ruleSet = DEFAULT_RULE_SET, startedAt, controllerId, playerIds = [], rotatePlayers = false } = body;
+
+      const preset = RULE_PRESETS[ruleSet];
+      if (!preset) {
+        return Response.json({ error: `Unknown ruleSet: ${ruleSet}` }, { status: 400 });
+      }
+
+      if (!Array.isArray(playerIds) || !playerIds.every(isUuid) || new Set(playerIds).size !== playerIds.length) {
+        return Response.json({ error: "playerIds must be a list of distinct player IDs" }, { status: 400 });
+      }
+
+      if (id !== undefined) {
+        if (!isUuid(id)) {
+          return Response.json({ error: "id must be a UUID" }, { status: 400 });
+        }
+
+        // A retry of a create that already went through
+        const existing = await db.query.sessions.findFirst({
+          where: eq(sessions.id, id),
+        });
+        if (existing) {
+          return Response.json({ session: toPublicSession(existing) });
+        }
+      }
+
+      if (playerIds.length > 0) {
+        const knownPlayers = await db.query.players.findMany({
+          where: inArray(players.id, playerIds),
+        });
+        if (knownPlayers.length !== playerIds.length) {
+          return Response.json({ error: "Unknown player in playerIds" }, { status: 404 });
+        }
+      }
 
       const [session] = await db.insert(sessions).values({
-        durationSeconds,
+        id,
+        startedAt: parseClientTimestamp(startedAt),
+        ruleSet,
+        durationSeconds: preset.rules.sessionDurationSeconds,
+        initialMisses: preset.rules.initialMisses,
+        freebiesAfterTen: preset.rules.freebiesAfterTen,
+        multiplierShots: preset.rules.multiplierShots,
+        playerIds: playerIds.length > 0 ? playerIds : null,
+        rotatePlayers: playerIds.length > 1 && !!rotatePlayers,
+        // The tab that starts a session controls it
+        controllerId,
+        controllerLeaseExpiresAt: controllerId ? getLeaseExpiry() : undefined,
       }).returning();
 
       return Response.json({ session });
@@ -22,7 +71,7 @@ export default async (req: Request, context: Context) => {
     }
   }
 
-  // PUT - Update/end a session
+  // PUT - Update/end a session (pauses go through /api/session/pause)
   if (method === "PUT") {
     try {
       const body = await req.json();
@@ -31,35 +80,40 @@ export default async (req: Request, context: Context) => {
         highScore,
         totalGames,
         totalPoints,
-        isPaused,
-        pausedAt,
-        totalPausedMs,
         currentGameId,
         ended,
+        endedAt,
+        controllerId,
       } = body;
 
       if (!sessionId) {
         return Response.json({ error: "sessionId is required" }, { status: 400 });
       }
 
+      const existingSession = await db.query.sessions.findFirst({
+        where: eq(sessions.id, sessionId),
+      });
+
+      const controllerError = getControllerError(existingSession, controllerId);
+      if (controllerError) {
+        return Response.json({ error: controllerError }, { status: 409 });
+      }
+
       // Build update object dynamically based on provided fields
       const updateData: Record<string, any> = {};
 
       if (highScore !== undefined) updateData.highScore = highScore;
       if (totalGames !== undefined) updateData.totalGames = totalGames;
       if (totalPoints !== undefined) updateData.totalPoints = totalPoints;
-      if (isPaused !== undefined) updateData.isPaused = isPaused;
-      if (pausedAt !== undefined) updateData.pausedAt = pausedAt ? new Date(pausedAt) : null;
-      if (totalPausedMs !== undefined) updateData.totalPausedMs = totalPausedMs;
       if (currentGameId !== undefined) updateData.currentGameId = currentGameId;
-      if (ended) updateData.endedAt = new Date();
+      if (ended) updateData.endedAt = parseClientTimestamp(endedAt) ?? new Date();
 
       const [session] = await db.update(sessions)
         .set(updateData)
         .where(eq(sessions.id, sessionId))
         .returning();
 
-      return Response.json({ session });
+      return Response.json({ session: session && toPublicSession(session) });
     } catch (error) {
       console.error("Error updating session:", error);
       return Response.json({ error: "Failed to update session" }, { status: 500 });
@@ -67,100 +121,31 @@ export default async (req: Request, context: Context) => {
   }
 
   // GET - Get session(s)
-  // With id param: get single session with games
-  // Without id param: get all sessions (most recent first)
+  // With id param: get single session with games (controller= says whether that tab controls it)
+  // Without id param: a page of sessions (see netlify/lib/sessionList.ts for the filters)
   if (method === "GET") {
     try {
       const url = new URL(req.url);
       const sessionId = url.searchParams.get("id");
+      const controllerId = url.searchParams.get("controller");
 
-      // If no ID, return all sessions
+      // If no ID, return a page of sessions
       if (!sessionId) {
-        const allSessions = await db.query.sessions.findMany({
-          orderBy: [desc(sessions.startedAt)],
-        });
-        return Response.json({ sessions: allSessions });
+        const { query, error } = parseSessionListQuery(url);
+        if (!query) {
+          return Response.json({ error }, { status: 400 });
+        }
+        return Response.json(await listSessions(query));
       }
 
       // Get single session with games
-      let session = await db.query.sessions.findFirst({
-        where: eq(sessions.id, sessionId),
-      });
+      const sessionState = await loadSessionState(sessionId, controllerId);
 
-      if (!session) {
+      if (!sessionState) {
         return Response.json({ error: "Session not found" }, { status: 404 });
       }
 
-      // Check if session should be auto-ended (timer expired while user was away)
-      if (!session.endedAt) {
-        const now = Date.now();
-        const startedAtMs = new Date(session.startedAt).getTime();
-        const durationMs = session.durationSeconds * 1000;
-        const totalPausedMs = session.totalPausedMs || 0;
-
-        // Calculate elapsed time
-        let elapsedMs: number;
-        if (session.isPaused && session.pausedAt) {
-          // If paused, calculate elapsed up to pause time
-          elapsedMs = new Date(session.pausedAt).getTime() - startedAtMs - totalPausedMs;
-        } else {
-          // If running, calculate elapsed up to now
-          elapsedMs = now - startedAtMs - totalPausedMs;
-        }
-
-        // If elapsed time exceeds duration, auto-end the session
-        if (elapsedMs >= durationMs) {
-          const [updatedSession] = await db.update(sessions)
-            .set({ endedAt: new Date() })
-            .where(eq(sessions.id, sessionId))
-            .returning();
-          session = updatedSession;
-        }
-      }
-
-      // Get all games for this session
-      const sessionGames = await db.query.games.findMany({
-        where: eq(games.sessionId, sessionId),
-        orderBy: (games, { asc }) => [asc(games.startedAt)],
-      });
-
-      // Find the current active game if any
-      // If currentGameId is set, use that; otherwise find the most recent game
-      let currentGame = session.currentGameId
-        ? sessionGames.find(g => g.id === session.currentGameId)
-        : null;
-
-      // If no currentGameId but there are games, use the most recent one
-      // This handles the "game over within session" state
-      if (!currentGame && sessionGames.length > 0) {
-        currentGame = sessionGames[sessionGames.length - 1];
-      }
-
-      // Calculate time remaining
-      let timeRemaining: number | null = null;
-      if (!session.endedAt) {
-        const now = Date.now();
-        const startedAtMs = new Date(session.startedAt).getTime();
-        const durationMs = session.durationSeconds * 1000;
-        const totalPausedMs = session.totalPausedMs || 0;
-
-        let elapsedMs: number;
-        if (session.isPaused && session.pausedAt) {
-          elapsedMs = new Date(session.pausedAt).getTime() - startedAtMs - totalPausedMs;
-        } else {
-          elapsedMs = now - startedAtMs - totalPausedMs;
-        }
-
-        timeRemaining = Math.max(0, Math.floor((durationMs - elapsedMs) / 1000));
-      }
-
-      return Response.json({
-        session,
-        games: sessionGames,
-        currentGame,
-        timeRemaining,
-        isEnded: !!session.endedAt,
-      });
+      return Response.json(sessionState);
     } catch (error) {
       console.error("Error fetching session:", error);
       return Response.json({ error: "Failed to fetch session" }, { status: 500 });
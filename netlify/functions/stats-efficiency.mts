@@ -0,0 +1,60 @@
+import type { Context } from "@netlify/functions";
+import { db, games } from "../../db";
+import { and, eq } from "drizzle-orm";
+import { isUuid } from "../lib/clientInput";
+import { loadEventsByGame } from "../lib/gameEvents";
+import { addGameShots, createShotTotals } from "../../src/shotStats.js";
+
+/**
+ * Efficiency - how shots go, across every finished game
+ *
+ * GET /api/stats/efficiency
+ * GET /api/stats/efficiency?playerId=<playerId> (one shooter's games only)
+ *
+ * Returns { efficiency } with makes and attempts by mode, by the multiplier the
+ * shot was taken at and for tip-ins, plus the freebies used and the points
+ * scored in point mode. Worked out from the games' event logs, so undone shots
+ * don't count.
+ */
+export default async (req: Request, context: Context) => {
+  if (req.method !== "GET") {
+    return Response.json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  const url = new URL(req.url);
+  const playerId = url.searchParams.get("playerId");
+
+  if (playerId !== null && !isUuid(playerId)) {
+    return Response.json({ error: "playerId must be a UUID" }, { status: 400 });
+  }
+
+  try {
+    const finishedGames = await db.query.games.findMany({
+      where: playerId
+        ? and(eq(games.isActive, false), eq(games.playerId, playerId))
+        : eq(games.isActive, false),
+      columns: { id: true },
+    });
+
+    const eventsByGame = await loadEventsByGame(finishedGames.map(g => g.id));
+    const shots = createShotTotals();
+    for (const game of finishedGames) {
+      addGameShots(shots, eventsByGame.get(game.id) ?? []);
+    }
+
+    return Response.json({
+      efficiency: {
+        gamesPlayed: finishedGames.length,
+        totalShots: shots.multiplierMode.attempts + shots.pointMode.attempts,
+        ...shots,
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching efficiency:", error);
+    return Response.json({ error: "Failed to fetch efficiency" }, { status: 500 });
+  }
+};
+
+export const config = {
+  path: '/api/stats/efficiency'
+};
@@ -0,0 +1,143 @@
+import type { Context } from "@netlify/functions";
+import { db, sessions, games, pauseIntervals, players } from "../../db";
+import { asc } from "drizzle-orm";
+import { getElapsedMsAt } from "../../src/sessionClock.js";
+import { getLongestMakeStreak, getMostLives, getScoreReachedEvent } from "../../src/shotStats.js";
+import { loadEventsByGame } from "../lib/gameEvents";
+
+/**
+ * Records - the all-time bests across every session
+ *
+ * GET /api/stats/records
+ *
+ * Returns { records } with one entry per record, each
+ * { value, sessionId, gameId, gameNumber, playerId, playerName, at } (null if
+ * nothing qualifies yet). gameNumber is the game's place in its session, and
+ * gameId/gameNumber are null for the session total. Ties go to whoever got
+ * there first.
+ *
+ * Scores, totals and multipliers come from the games and sessions tables;
+ * streaks, lives and the race to FAST_GAME_SCORE are worked out from the
+ * finished games' event logs (undone shots don't count).
+ */
+
+// The score the fastest game record is a race to
+const FAST_GAME_SCORE = 50;
+
+type GameRecord = {
+  value: number;
+  sessionId: string;
+  gameId: string | null;
+  gameNumber: number | null;
+  playerId: string | null;
+  playerName: string | null;
+  at: Date;
+};
+
+export default async (req: Request, context: Context) => {
+  if (req.method !== "GET") {
+    return Response.json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  try {
+    const allSessions = await db.query.sessions.findMany({ orderBy: [asc(sessions.startedAt)] });
+    const allGames = await db.query.games.findMany({ orderBy: [asc(games.startedAt)] });
+    const allPauses = await db.query.pauseIntervals.findMany({ orderBy: [asc(pauseIntervals.pausedAt)] });
+    const allPlayers = await db.select().from(players);
+
+    const sessionsById = new Map(allSessions.map(s => [s.id, s]));
+    const playerNames = new Map(allPlayers.map(p => [p.id, p.name]));
+    const pausesBySession = new Map<string, any[]>();
+    for (const pause of allPauses) {
+      const list = pausesBySession.get(pause.sessionId) ?? [];
+      list.push(pause);
+      pausesBySession.set(pause.sessionId, list);
+    }
+
+    // Number games within their sessions the way the session page does
+    const gameNumbers = new Map<string, number>();
+    const gamesPerSession = new Map<string, number>();
+    for (const game of allGames) {
+      const number = (gamesPerSession.get(game.sessionId) ?? 0) + 1;
+      gamesPerSession.set(game.sessionId, number);
+      gameNumbers.set(game.id, number);
+    }
+
+    const finishedGames = allGames.filter(g => !g.isActive);
+    const eventsByGame = await loadEventsByGame(finishedGames.map(g => g.id));
+
+    const records: Record<string, GameRecord | null> = {
+      bestGameScore: null,
+      bestSessionTotal: null,
+      highestMultiplier: null,
+      longestMakeStreak: null,
+      mostLives: null,
+      fastestTo50: null,
+    };
+
+    const gameRecord = (game: any, value: number): GameRecord => ({
+      value,
+      sessionId: game.sessionId,
+      gameId: game.id,
+      gameNumber: gameNumbers.get(game.id) ?? null,
+      playerId: game.playerId,
+      playerName: game.playerId ? playerNames.get(game.playerId) ?? null : null,
+      at: game.startedAt,
+    });
+
+    // Keep a record only if it beats the one so far (games are in the order they were played)
+    const consider = (key: string, game: any, value: number, lowerIsBetter = false) => {
+      const current = records[key];
+      const beats = !current || (lowerIsBetter ? value < current.value : value > current.value);
+      if (beats) {
+        records[key] = gameRecord(game, value);
+      }
+    };
+
+    for (const game of finishedGames) {
+      const gameEvents = eventsByGame.get(game.id) ?? [];
+
+      if (game.finalScore > 0) consider("bestGameScore", game, game.finalScore);
+      if (game.highMultiplier > 1) consider("highestMultiplier", game, game.highMultiplier);
+
+      const streak = getLongestMakeStreak(gameEvents);
+      if (streak > 0) consider("longestMakeStreak", game, streak);
+
+      const lives = getMostLives(gameEvents);
+      if (lives > 0) consider("mostLives", game, lives);
+
+      const reachedEvent = getScoreReachedEvent(gameEvents, FAST_GAME_SCORE);
+      const session = sessionsById.get(game.sessionId);
+      if (reachedEvent && session) {
+        // Session clock time, so pauses along the way don't count
+        const pauses = pausesBySession.get(session.id) ?? [];
+        const elapsedMs = getElapsedMsAt(session, pauses, new Date(reachedEvent.occurredAt).getTime())
+          - getElapsedMsAt(session, pauses, new Date(game.startedAt).getTime());
+        consider("fastestTo50", game, Math.max(0, Math.round(elapsedMs / 1000)), true);
+      }
+    }
+
+    for (const session of allSessions) {
+      if (session.totalPoints > (records.bestSessionTotal?.value ?? 0)) {
+        records.bestSessionTotal = {
+          value: session.totalPoints,
+          sessionId: session.id,
+          gameId: null,
+          gameNumber: null,
+          playerId: null,
+          playerName: null,
+          at: session.startedAt,
+        };
+      }
+    }
+
+    return Response.json({ records });
+  } catch (error) {
+    console.error("Error fetching records:", error);
+    return Response.json({ error: "Failed to fetch records" }, { status: 500 });
+  }
+};
+
+export const config = {
+  path: '/api/stats/records'
+};
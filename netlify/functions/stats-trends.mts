@@ -0,0 +1,167 @@
+import type { Context } from "@netlify/functions";
+import { db, sessions, games, pauseIntervals } from "../../db";
+import { asc, gte } from "drizzle-orm";
+import { getSessionRules } from "../../src/gameRules.js";
+import { getElapsedMsAt } from "../../src/sessionClock.js";
+
+/**
+ * Trends - sessions and games rolled up by week or month
+ *
+ * GET /api/stats/trends?period=week|month&count=12&tzOffset=<minutes>
+ *
+ * Returns { period, periods } - the last `count` periods, most recent first,
+ * each { start, sessionsPlayed, gamesPlayed, averageScore, bestScore,
+ * minutesPlayed, makePercentage, deltas }. deltas holds the change in each
+ * number since the period before (null where either period has nothing to
+ * compare). Periods with nothing played are included, so deltas are always
+ * against the calendar period just before.
+ *
+ * tzOffset is the client's Date.getTimezoneOffset(), so weeks (starting Monday)
+ * and months line up with the household's calendar rather than UTC. Sessions
+ * and games count towards the period they started in; minutes played is
+ * session clock time, so pauses don't count.
+ */
+
+const PERIODS = ["week", "month"];
+const DEFAULT_COUNT = 12;
+const MAX_COUNT = 52;
+
+// Start of the period containing `ms`, in the client's local time (as a UTC-shifted Date)
+function getPeriodStart(ms: number, period: string, offsetMs: number) {
+  const local = new Date(ms - offsetMs);
+  if (period === "month") {
+    return new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), 1));
+  }
+  const daysSinceMonday = (local.getUTCDay() + 6) % 7;
+  return new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() - daysSinceMonday));
+}
+
+// The period before one that starts at `start`
+function getPreviousPeriodStart(start: Date, period: string) {
+  return period === "month"
+    ? new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() - 1, 1))
+    : new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate() - 7));
+}
+
+const periodKey = (start: Date) => start.toISOString().slice(0, 10);
+
+const delta = (current: number | null, previous: number | null) =>
+  current === null || previous === null ? null : Math.round((current - previous) * 10) / 10;
+
+export default async (req: Request, context: Context) => {
+  if (req.method !== "GET") {
+    return Response.json({ error: "Method not allowed" }, { status: 405 });
+  }
+
+  const url = new URL(req.url);
+  const period = url.searchParams.get("period") ?? "week";
+  const count = Number(url.searchParams.get("count") ?? DEFAULT_COUNT);
+  const tzOffset = Number(url.searchParams.get("tzOffset") ?? 0);
+
+  if (!PERIODS.includes(period)) {
+    return Response.json({ error: `period must be one of: ${PERIODS.join(", ")}` }, { status: 400 });
+  }
+  if (!Number.isInteger(count) || count < 1 || count > MAX_COUNT) {
+    return Response.json({ error: `count must be a whole number from 1 to ${MAX_COUNT}` }, { status: 400 });
+  }
+  if (!Number.isFinite(tzOffset) || Math.abs(tzOffset) > 14 * 60) {
+    return Response.json({ error: "tzOffset must be a timezone offset in minutes" }, { status: 400 });
+  }
+
+  try {
+    const now = Date.now();
+    const offsetMs = tzOffset * 60 * 1000;
+
+    // The periods shown, plus the one before the oldest for its deltas (oldest first)
+    const starts = [getPeriodStart(now, period, offsetMs)];
+    while (starts.length < count + 1) {
+      starts.unshift(getPreviousPeriodStart(starts[0], period));
+    }
+    const since = new Date(starts[0].getTime() + offsetMs);
+
+    const periodSessions = await db.query.sessions.findMany({
+      where: gte(sessions.startedAt, since),
+      orderBy: [asc(sessions.startedAt)],
+    });
+    const periodGames = await db.query.games.findMany({
+      where: gte(games.startedAt, since),
+    });
+    const periodPauses = await db.query.pauseIntervals.findMany({
+      where: gte(pauseIntervals.pausedAt, since),
+    });
+
+    const pausesBySession = new Map<string, any[]>();
+    for (const pause of periodPauses) {
+      const list = pausesBySession.get(pause.sessionId) ?? [];
+      list.push(pause);
+      pausesBySession.set(pause.sessionId, list);
+    }
+
+    const buckets = new Map(starts.map(start => [periodKey(start), {
+      sessionsPlayed: 0,
+      minutesPlayed: 0,
+      scores: [] as number[],
+      makes: 0,
+      shots: 0,
+    }]));
+    const bucketFor = (timestamp: Date) =>
+      buckets.get(periodKey(getPeriodStart(new Date(timestamp).getTime(), period, offsetMs)));
+
+    for (const session of periodSessions) {
+      const bucket = bucketFor(session.startedAt);
+      if (!bucket) continue;
+
+      const durationMs = getSessionRules(session).sessionDurationSeconds * 1000;
+      const endMs = session.endedAt ? new Date(session.endedAt).getTime() : now;
+      const playedMs = getElapsedMsAt(session, pausesBySession.get(session.id) ?? [], endMs);
+      bucket.sessionsPlayed++;
+      bucket.minutesPlayed += Math.min(durationMs, Math.max(0, playedMs)) / 60000;
+    }
+
+    for (const game of periodGames) {
+      const bucket = bucketFor(game.startedAt);
+      if (!bucket || game.isActive) continue;
+
+      bucket.scores.push(game.finalScore);
+      bucket.makes += game.totalMakes;
+      bucket.shots += game.totalMakes + game.totalMisses;
+    }
+
+    const rollups = starts.map((start) => {
+      const bucket = buckets.get(periodKey(start))!;
+      const totalScore = bucket.scores.reduce((sum, score) => sum + score, 0);
+      return {
+        start: periodKey(start),
+        sessionsPlayed: bucket.sessionsPlayed,
+        gamesPlayed: bucket.scores.length,
+        averageScore: bucket.scores.length > 0 ? Math.round((totalScore / bucket.scores.length) * 10) / 10 : null,
+        bestScore: bucket.scores.length > 0 ? Math.max(...bucket.scores) : null,
+        minutesPlayed: Math.round(bucket.minutesPlayed),
+        makePercentage: bucket.shots > 0 ? Math.round((bucket.makes / bucket.shots) * 100) : null,
+      };
+    });
+
+    const periods = rollups.slice(1).map((rollup, i) => {
+      const previous = rollups[i];
+      return {
+        ...rollup,
+        deltas: {
+          sessionsPlayed: delta(rollup.sessionsPlayed, previous.sessionsPlayed),
+          averageScore: delta(rollup.averageScore, previous.averageScore),
+          bestScore: delta(rollup.bestScore, previous.bestScore),
+          minutesPlayed: delta(rollup.minutesPlayed, previous.minutesPlayed),
+          makePercentage: delta(rollup.makePercentage, previous.makePercentage),
+        },
+      };
+    }).reverse();
+
+    return Response.json({ period, periods });
+  } catch (error) {
+    console.error("Error fetching trends:", error);
+    return Response.json({ error: "Failed to fetch trends" }, { status: 500 });
+  }
+};
+
+export const config = {
+  path: '/api/stats/trends'
+};
@@ -14,12 +14,13 @@ Available actions:
 - "tip_miss" - Player attempted but missed a tip-in
 - "enter_point_mode" - Switch from multiplier mode to point mode
 - "enter_multiplier_mode" - Switch from point mode to multiplier mode (only allowed after passing a multiple of 10)
-- "start_session" - Start a new 10-minute session
+- "start_session" - Start a new session (with the rule preset selected on screen)
 - "start_game" - Start a new game within a session
 - "end_session" - End the current session
 - "pause" - Pause the timer
 - "resume" - Resume the timer (same as pause, it toggles)
 - "undo" - Undo the last action
+- "redo" - Redo the last undone action
 - "unknown" - Command not recognized
 
 Respond with ONLY a JSON object in this exact format:
@@ -38,6 +39,7 @@ Examples of voice commands and their actions:
 - "pause", "hold", "wait", "timeout", "time out" → {"action": "pause", "confidence": 0.9}
 - "resume", "continue", "go", "unpause", "play" → {"action": "resume", "confidence": 0.9}
 - "undo", "take back", "oops", "go back", "revert" → {"action": "undo", "confidence": 0.9}
+- "redo", "put it back", "never mind", "that was right" → {"action": "redo", "confidence": 0.9}
 
 Be flexible with pronunciation and similar-sounding words. If unsure, return unknown with low confidence.`;
 
@@ -122,6 +124,7 @@ export default async (request: Request, _context: Context): Promise<Response> =>
       else if (lowerResponse.includes('pause')) action = 'pause';
       else if (lowerResponse.includes('resume')) action = 'resume';
       else if (lowerResponse.includes('undo')) action = 'undo';
+      else if (lowerResponse.includes('redo')) action = 'redo';
 
       return new Response(JSON.stringify({ action, confidence: 0.5 } satisfies VoiceCommandResponse), {
         headers: { 'Content-Type': 'application/json' }
@@ -0,0 +1,15 @@
+// Helpers for values the client generates itself (IDs and timestamps for writes
+// that may have sat in its outbox for a while before being sent)
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export function isUuid(value: unknown): value is string {
+  return typeof value === "string" && UUID_PATTERN.test(value);
+}
+
+// When the client says something happened, or undefined if it didn't say (or it isn't a date)
+export function parseClientTimestamp(value: unknown): Date | undefined {
+  if (typeof value !== "string") return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
@@ -0,0 +1,106 @@
+import { db, sessions, games, events } from "../../db";
+import { and, asc, eq, isNull, sql } from "drizzle-orm";
+import { getSessionRules, replayEvents } from "../../src/gameRules.js";
+
+type GameEnd = {
+  endedAt: Date;
+  endReason?: string;
+  durationSeconds?: number;
+  // Other game columns to set along with the final stats
+  updates?: Record<string, any>;
+};
+
+/**
+ * End an active game and add it to its session's aggregates
+ *
+ * Final stats come from replaying the event log (so undone shots don't count).
+ * Only a game that is still active is ended, so a game can't be counted twice
+ * when the scoreboard and the auto-close both get to it - returns null if it
+ * had already ended. A game closed out here before its tab ended it still
+ * takes the shots that tab had queued (see awaitingLateEvents), and /api/event
+ * brings these totals up to date.
+ */
+export async function endGame(game: any, session: any, { endedAt, endReason, durationSeconds, updates = {} }: GameEnd) {
+  const gameEvents = await db.query.events.findMany({
+    where: eq(events.gameId, game.id),
+    orderBy: [asc(events.sequenceNumber)],
+  });
+  const replay = replayEvents(gameEvents, getSessionRules(session));
+
+  const [endedGame] = await db.update(games)
+    .set({
+      ...updates,
+      endedAt,
+      endReason,
+      durationSeconds: durationSeconds
+        ?? Math.max(0, Math.floor((endedAt.getTime() - new Date(game.startedAt).getTime()) / 1000)),
+      isActive: false,
+      finalScore: replay.state.score,
+      highMultiplier: replay.highMultiplier,
+      totalMakes: replay.totalMakes,
+      totalMisses: replay.totalMisses,
+    })
+    .where(and(eq(games.id, game.id), eq(games.isActive, true)))
+    .returning();
+
+  if (!endedGame) {
+    return null;
+  }
+
+  await db.update(sessions)
+    .set({
+      totalGames: sql`${sessions.totalGames} + 1`,
+      totalPoints: sql`${sessions.totalPoints} + ${endedGame.finalScore}`,
+      highScore: sql`GREATEST(${sessions.highScore}, ${endedGame.finalScore})`,
+      currentGameId: null,
+    })
+    .where(eq(sessions.id, endedGame.sessionId));
+
+  return endedGame;
+}
+
+/**
+ * End a session nobody closed, along with any game still running in it
+ *
+ * The session ends at endedAt. Its running games end with gameEndReason - at
+ * the session's end, or at their last event for a game that was abandoned -
+ * and keep taking the shots their tab still has queued until it ends them too.
+ * Returns the updated session, or null if it had already ended.
+ */
+export async function endSession(session: any, endedAt: Date, gameEndReason: 'session_ended' | 'abandoned') {
+  const [endedSession] = await db.update(sessions)
+    .set({ endedAt })
+    .where(and(eq(sessions.id, session.id), isNull(sessions.endedAt)))
+    .returning();
+
+  if (!endedSession) {
+    return null;
+  }
+
+  await endActiveGames(endedSession, gameEndReason, endedAt);
+  return endedSession;
+}
+
+// End every game still running in a session
+export async function endActiveGames(session: any, endReason: 'session_ended' | 'abandoned', sessionEndedAt: Date) {
+  const activeGames = await db.query.games.findMany({
+    where: and(eq(games.sessionId, session.id), eq(games.isActive, true)),
+  });
+
+  for (const game of activeGames) {
+    const endedAt = endReason === 'abandoned'
+      ? await getLastActivity(game)
+      : sessionEndedAt;
+    await endGame(game, session, { endedAt, endReason, updates: { awaitingLateEvents: true } });
+  }
+}
+
+// When a game last had anything happen - its latest event, or its start
+export async function getLastActivity(game: any) {
+  const [lastEvent] = await db.query.events.findMany({
+    where: eq(events.gameId, game.id),
+    orderBy: (events, { desc }) => [desc(events.occurredAt)],
+    limit: 1,
+  });
+  return new Date(lastEvent?.occurredAt ?? game.startedAt);
+}
@@ -0,0 +1,76 @@
+import { db, sessions, games, events, pauseIntervals } from "../../db";
+import { asc, getTableColumns, inArray } from "drizzle-orm";
+import type { PgTable } from "drizzle-orm/pg-core";
+import { loadEventsByGame } from "./gameEvents";
+import { toPublicSession } from "./sessionControl";
+
+// Version of the JSON export document - bumped if its shape changes, so imports can tell
+export const EXPORT_VERSION = 1;
+
+/**
+ * Load sessions with their games and events and their pause intervals, nested
+ * the way the JSON export has them
+ *
+ * Sessions come oldest first, games in the order they started, events in
+ * sequence order and pauses oldest first. Rows keep every column from db/schema.ts, apart from the
+ * sessions' controller lease and pairing code.
+ */
+export async function loadExport(sessionIds: string[]) {
+  const exportSessions = await db.query.sessions.findMany({
+    where: inArray(sessions.id, sessionIds),
+    orderBy: [asc(sessions.startedAt)],
+  });
+  const exportGames = exportSessions.length > 0
+    ? await db.query.games.findMany({
+      where: inArray(games.sessionId, exportSessions.map(s => s.id)),
+      orderBy: [asc(games.startedAt)],
+    })
+    : [];
+  const eventsByGame = await loadEventsByGame(exportGames.map(g => g.id));
+  const exportPauses = exportSessions.length > 0
+    ? await db.query.pauseIntervals.findMany({
+      where: inArray(pauseIntervals.sessionId, exportSessions.map(s => s.id)),
+      orderBy: [asc(pauseIntervals.pausedAt)],
+    })
+    : [];
+
+  return exportSessions.map(session => ({
+    ...toPublicSession(session),
+    games: exportGames
+      .filter(game => game.sessionId === session.id)
+      .map(game => ({ ...game, events: eventsByGame.get(game.id) ?? [] })),
+    pauseIntervals: exportPauses.filter(pause => pause.sessionId === session.id),
+  }));
+}
+
+function toCsvValue(value: unknown) {
+  if (value === null || value === undefined) return "";
+  const text = value instanceof Date
+    ? value.toISOString()
+    : Array.isArray(value) ? value.join(";") : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows of a table as CSV, with one column per column in the schema (in schema
+ * order, headed by the database column names). Array columns are joined with ';'.
+ */
+export function toCsv(table: PgTable, rows: Record<string, any>[]) {
+  const columns = Object.entries(getTableColumns(table));
+  const lines = [
+    columns.map(([, column]) => column.name).join(","),
+    ...rows.map(row => columns.map(([key]) => toCsvValue(row[key])).join(",")),
+  ];
+  return lines.join("\r\n") + "\r\n";
+}
+
+// The sessions, games, events and pause intervals tables of an export, as four CSV files
+export function toCsvFiles(exported: Awaited<ReturnType<typeof loadExport>>) {
+  const exportGames = exported.flatMap(session => session.games);
+  return {
+    "sessions.csv": toCsv(sessions, exported),
+    "games.csv": toCsv(games, exportGames),
+    "events.csv": toCsv(events, exportGames.flatMap(game => game.events)),
+    "pause_intervals.csv": toCsv(pauseIntervals, exported.flatMap(session => session.pauseIntervals)),
+  };
+}
@@ -0,0 +1,28 @@
+import { db, events } from "../../db";
+import { asc, inArray } from "drizzle-orm";
+
+/**
+ * Load the events of many games at once, for stats that look across games
+ *
+ * Returns a Map of game ID to that game's events, ordered by sequence number
+ * (games without events have no entry).
+ */
+export async function loadEventsByGame(gameIds: string[]) {
+  const eventsByGame = new Map<string, any[]>();
+  if (gameIds.length === 0) {
+    return eventsByGame;
+  }
+
+  const gameEvents = await db.query.events.findMany({
+    where: inArray(events.gameId, gameIds),
+    orderBy: [asc(events.gameId), asc(events.sequenceNumber)],
+  });
+
+  for (const event of gameEvents) {
+    const list = eventsByGame.get(event.gameId) ?? [];
+    list.push(event);
+    eventsByGame.set(event.gameId, list);
+  }
+
+  return eventsByGame;
+}
@@ -0,0 +1,255 @@
+import { db, sessions, games, events, pauseIntervals, players } from "../../db";
+import { getTableColumns, inArray } from "drizzle-orm";
+import type { PgTable } from "drizzle-orm/pg-core";
+import { RULE_PRESETS } from "../../src/gameRules.js";
+import { EXPORT_VERSION } from "./export";
+import { parseClientTimestamp } from "./clientInput";
+import { recalculateSession } from "./recalculate";
+
+// Every event type a game can have stored - game_start included, as it's written by POST /api/game
+const EVENT_TYPES = ["game_start", "make", "miss", "mode_change", "undo", "redo", "game_end", "final_shot"];
+
+const MODES = ["multiplier", "point"];
+
+// Text columns that only hold a few values, by property name
+const TEXT_VALUES: Record<string, string[]> = {
+  ruleSet: Object.keys(RULE_PRESETS),
+  currentMode: MODES,
+  mode: MODES,
+  previousMode: MODES,
+  newMode: MODES,
+  endReason: ["out_of_misses", "session_ended", "manual_end", "abandoned"],
+  eventType: EVENT_TYPES,
+};
+
+// Range of a Postgres integer column
+const MIN_INTEGER = -(2 ** 31);
+const MAX_INTEGER = 2 ** 31 - 1;
+
+const MAX_SESSIONS = 100;
+
+type ImportGame = Record<string, any> & { events: Record<string, any>[] };
+type ImportSession = Record<string, any> & { games: ImportGame[]; pauseIntervals?: Record<string, any>[] };
+
+type ImportRejection = { error: string; status: number };
+
+const isRecord = (value: unknown): value is Record<string, any> =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+// Why a value can't be stored in a column, or null if it can - IDs aren't checked, as
+// they're replaced on import (or, for players, dropped unless they exist here)
+function getValueError(key: string, column: any, value: unknown): string | null {
+  if (value === null) {
+    return column.notNull ? `${key} can't be null` : null;
+  }
+
+  switch (column.columnType) {
+    case "PgInteger":
+      return typeof value === "number" && Number.isInteger(value) && value >= MIN_INTEGER && value <= MAX_INTEGER
+        ? null
+        : `${key} must be a whole number`;
+    case "PgBoolean":
+      return typeof value === "boolean" ? null : `${key} must be true or false`;
+    case "PgTimestamp":
+      return parseClientTimestamp(value) ? null : `${key} must be a timestamp`;
+    case "PgText":
+      if (typeof value !== "string") return `${key} must be text`;
+      if (TEXT_VALUES[key] && !TEXT_VALUES[key].includes(value)) {
+        return `${key} must be one of: ${TEXT_VALUES[key].join(", ")}`;
+      }
+      return null;
+    default:
+      return null;
+  }
+}
+
+// Why an exported row can't be imported into a table, or null if every value fits its column
+function getRowError(table: PgTable, record: Record<string, any>): string | null {
+  for (const [key, column] of Object.entries(getTableColumns(table))) {
+    if (!(key in record)) continue;
+    const error = getValueError(key, column, record[key]);
+    if (error) return error;
+  }
+  return null;
+}
+
+// Why a game's events can't be imported, or null if they're in order
+function getEventOrderError(gameEvents: Record<string, any>[]): string | null {
+  for (const [i, e] of gameEvents.entries()) {
+    if (!isRecord(e) || e.sequenceNumber !== i) {
+      return `expected sequenceNumber ${i} but got ${isRecord(e) ? e.sequenceNumber : "no event"}`;
+    }
+    if (!EVENT_TYPES.includes(e.eventType)) {
+      return `unsupported eventType at sequenceNumber ${i}: ${e.eventType}`;
+    }
+    if (!parseClientTimestamp(e.occurredAt)) {
+      return `occurredAt at sequenceNumber ${i} isn't a timestamp`;
+    }
+    if ((e.eventType === "undo" || e.eventType === "redo") &&
+      !(Number.isInteger(e.retractsSequenceNumber) && e.retractsSequenceNumber < i)) {
+      return `${e.eventType} at sequenceNumber ${i} doesn't retract an earlier event`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check an export document (GET /api/export?format=json) before anything is
+ * inserted - returns { sessions } or { error, status }
+ *
+ * Each game's events have to run in sequence from 0 in the order they're
+ * listed, and undos and redos have to point back at an earlier event. Every
+ * value has to fit its column, so a bad export is turned away here rather than
+ * failing part way through the inserts. Pause intervals are optional (exports
+ * from before they were included have none).
+ */
+export function parseImport(document: unknown): { sessions: ImportSession[] } | ImportRejection {
+  if (!isRecord(document) || document.version !== EXPORT_VERSION) {
+    return { error: `Expected an export document with version ${EXPORT_VERSION}`, status: 400 };
+  }
+
+  const archive = document.sessions;
+  if (!Array.isArray(archive) || archive.length === 0) {
+    return { error: "The export has no sessions", status: 400 };
+  }
+  if (archive.length > MAX_SESSIONS) {
+    return { error: `At most ${MAX_SESSIONS} sessions can be imported at once`, status: 400 };
+  }
+
+  for (const [s, session] of archive.entries()) {
+    if (!isRecord(session) || !parseClientTimestamp(session.startedAt) || !Array.isArray(session.games)) {
+      return { error: `Session ${s + 1} needs a startedAt and a list of games`, status: 400 };
+    }
+    const sessionError = getRowError(sessions, session);
+    if (sessionError) {
+      return { error: `Session ${s + 1}: ${sessionError}`, status: 400 };
+    }
+
+    const pauses = session.pauseIntervals ?? [];
+    if (!Array.isArray(pauses)) {
+      return { error: `Session ${s + 1}: pauseIntervals must be a list`, status: 400 };
+    }
+    for (const [p, pause] of pauses.entries()) {
+      if (!isRecord(pause) || !parseClientTimestamp(pause.pausedAt)) {
+        return { error: `Session ${s + 1}, pause ${p + 1} needs a pausedAt`, status: 400 };
+      }
+      const pauseError = getRowError(pauseIntervals, pause);
+      if (pauseError) {
+        return { error: `Session ${s + 1}, pause ${p + 1}: ${pauseError}`, status: 400 };
+      }
+    }
+
+    for (const [g, game] of session.games.entries()) {
+      if (!isRecord(game) || !parseClientTimestamp(game.startedAt) || !Array.isArray(game.events)) {
+        return { error: `Session ${s + 1}, game ${g + 1} needs a startedAt and a list of events`, status: 400 };
+      }
+      const gameError = getRowError(games, game);
+      if (gameError) {
+        return { error: `Session ${s + 1}, game ${g + 1}: ${gameError}`, status: 400 };
+      }
+
+      const orderError = getEventOrderError(game.events);
+      if (orderError) {
+        return { error: `Session ${s + 1}, game ${g + 1}: ${orderError}`, status: 422 };
+      }
+      for (const [i, e] of game.events.entries()) {
+        const eventError = getRowError(events, e);
+        if (eventError) {
+          return { error: `Session ${s + 1}, game ${g + 1}, sequenceNumber ${i}: ${eventError}`, status: 400 };
+        }
+      }
+    }
+  }
+
+  return { sessions: archive };
+}
+
+// The values of a checked export row that belong in a table, with timestamps turned back into dates
+function toRow(table: PgTable, record: Record<string, any>): any {
+  const row: Record<string, any> = {};
+  for (const [key, column] of Object.entries(getTableColumns(table))) {
+    if (!(key in record)) continue;
+    row[key] = column.dataType === "date" && record[key] !== null
+      ? parseClientTimestamp(record[key])
+      : record[key];
+  }
+  return row;
+}
+
+/**
+ * Insert sessions from a checked export with fresh IDs, then recalculate each
+ * one from its events (and its pauses, which come along with it)
+ *
+ * Players aren't part of an export, so sessions and games only keep the
+ * players that exist here. Pairing codes, controllers and shots still to come
+ * from a tab belonged to the tabs of the database the export came from, so
+ * they're left off. If an insert fails, the sessions imported so far are
+ * deleted (their games, events and pauses go with them), so an import lands
+ * whole or not at all.
+ *
+ * Returns the imported sessions, in the export's order.
+ */
+export async function importSessions(archive: ImportSession[]) {
+  const knownPlayerIds = new Set(
+    (await db.select({ id: players.id }).from(players)).map(player => player.id)
+  );
+  const keepPlayer = (playerId: unknown) =>
+    typeof playerId === "string" && knownPlayerIds.has(playerId) ? playerId : null;
+
+  const importedIds: string[] = [];
+  try {
+    const imported = [];
+    for (const source of archive) {
+      const gameIds = source.games.map(() => crypto.randomUUID());
+      const currentGameIndex = source.games.findIndex(game => game.id === source.currentGameId);
+      const playerIds = Array.isArray(source.playerIds) ? source.playerIds.filter(keepPlayer) : [];
+
+      const [session] = await db.insert(sessions).values({
+        ...toRow(sessions, source),
+        id: crypto.randomUUID(),
+        currentGameId: currentGameIndex >= 0 ? gameIds[currentGameIndex] : null,
+        playerIds: playerIds.length > 0 ? playerIds : null,
+        pairingCode: null,
+        controllerId: null,
+        controllerLeaseExpiresAt: null,
+      }).returning();
+      importedIds.push(session.id);
+
+      if (source.games.length > 0) {
+        await db.insert(games).values(source.games.map((game, i) => ({
+          ...toRow(games, game),
+          id: gameIds[i],
+          sessionId: session.id,
+          playerId: keepPlayer(game.playerId),
+          awaitingLateEvents: false,
+        })));
+      }
+
+      const pauses = source.pauseIntervals ?? [];
+      if (pauses.length > 0) {
+        await db.insert(pauseIntervals).values(pauses.map(pause => ({
+          ...toRow(pauseIntervals, pause),
+          id: crypto.randomUUID(),
+          sessionId: session.id,
+        })));
+      }
+
+      for (const [i, game] of source.games.entries()) {
+        if (game.events.length === 0) continue;
+        await db.insert(events).values(game.events.map(event => ({
+          ...toRow(events, event),
+          id: crypto.randomUUID(),
+          gameId: gameIds[i],
+        })));
+      }
+
+      imported.push((await recalculateSession(session)).session);
+    }
+    return imported;
+  } catch (error) {
+    if (importedIds.length > 0) {
+      await db.delete(sessions).where(inArray(sessions.id, importedIds));
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,181 @@
+import { db, sessions, games, events, type Session } from "../../db";
+import { eq, asc } from "drizzle-orm";
+import { getSessionRules, replayEvents } from "../../src/gameRules.js";
+import { getTimerExpiry, isTimerExpired, summarizePauses } from "../../src/sessionClock.js";
+import { loadPauseIntervals } from "./sessionState";
+
+/**
+ * Rebuild the cached values on a session's games and on the session itself from
+ * their events - what POST /api/recalculate does, and what an import runs on
+ * the sessions it brings in
+ *
+ * Returns the updated session and the totals it was given.
+ */
+export async function recalculateSession(session: Session) {
+  const sessionId = session.id;
+
+  // Replay with the rules the session was played with
+  const rules = getSessionRules(session);
+
+  // Fetch all games for this session
+  const sessionGames = await db.query.games.findMany({
+    where: eq(games.sessionId, sessionId),
+    orderBy: [asc(games.startedAt)],
+  });
+
+  const gameUpdates: Array<{ gameId: string; updates: Record<string, any> }> = [];
+  let sessionTotalPoints = 0;
+  let sessionHighScore = 0;
+  let sessionTotalGames = 0;
+
+  // Process each game
+  for (const game of sessionGames) {
+    // Fetch all events for this game
+    const gameEvents = await db.query.events.findMany({
+      where: eq(events.gameId, game.id),
+      orderBy: [asc(events.sequenceNumber)],
+    });
+
+    if (gameEvents.length === 0) {
+      // No events - skip this game but don't count it
+      continue;
+    }
+
+    // Calculate values by replaying the events through the rules engine
+    // The final shot comes after the buzzer, so it doesn't count towards when the game ended
+    const lastEvent = gameEvents.filter(e => e.eventType !== 'final_shot').at(-1) ?? gameEvents[gameEvents.length - 1];
+    const gameEndEvent = gameEvents.find(e => e.eventType === 'game_end');
+    const replay = replayEvents(gameEvents, rules);
+
+    const finalScore = replay.state.score;
+    const { highMultiplier, totalMakes, totalMisses } = replay;
+
+    // Determine if game has ended
+    // Game is ended if: there's a game_end event, or endReason is set, or missesRemaining reached 0
+    const hasGameEndEvent = !!gameEndEvent;
+    const hasEndReason = !!game.endReason;
+    const outOfMisses = replay.gameOver;
+    const isGameEnded = hasGameEndEvent || hasEndReason || outOfMisses;
+
+    // Calculate endedAt
+    let endedAt: Date | null = null;
+    if (isGameEnded) {
+      if (gameEndEvent) {
+        endedAt = new Date(gameEndEvent.occurredAt);
+      } else {
+        // Use the last event's timestamp as the end time
+        endedAt = new Date(lastEvent.occurredAt);
+      }
+    }
+
+    // Calculate duration if game has ended
+    let durationSeconds: number | null = null;
+    if (endedAt && game.startedAt) {
+      durationSeconds = Math.floor((endedAt.getTime() - new Date(game.startedAt).getTime()) / 1000);
+    }
+
+    // Determine endReason if not set but game appears ended
+    let endReason = game.endReason;
+    if (isGameEnded && !endReason) {
+      if (outOfMisses) {
+        endReason = 'out_of_misses';
+      } else if (hasGameEndEvent) {
+        // Check if game_end event suggests session ended
+        endReason = 'session_ended';
+      }
+    }
+
+    // Build update object
+    const updates: Record<string, any> = {
+      finalScore,
+      highMultiplier,
+      totalMakes,
+      totalMisses,
+      isActive: !isGameEnded,
+      // Also sync current state from the replay
+      currentScore: replay.state.score,
+      currentMultiplier: replay.state.multiplier,
+      currentMultiplierShotsRemaining: replay.state.multiplierShotsRemaining,
+      currentMisses: replay.state.misses,
+      currentFreebiesRemaining: replay.state.freebiesRemaining,
+      currentMode: replay.state.mode,
+    };
+
+    if (endedAt) {
+      updates.endedAt = endedAt;
+    }
+    if (durationSeconds !== null) {
+      updates.durationSeconds = durationSeconds;
+    }
+    if (endReason) {
+      updates.endReason = endReason;
+    }
+
+    gameUpdates.push({ gameId: game.id, updates });
+
+    // Track session aggregates (only count completed games or games with events)
+    sessionTotalGames++;
+    sessionTotalPoints += finalScore;
+    if (finalScore > sessionHighScore) {
+      sessionHighScore = finalScore;
+    }
+  }
+
+  // Apply all game updates
+  for (const { gameId, updates } of gameUpdates) {
+    await db.update(games)
+      .set(updates)
+      .where(eq(games.id, gameId));
+  }
+
+  // Determine session endedAt
+  // Session is ended if: it has an endedAt, or time has elapsed, or all games are ended
+  const allGamesEnded = sessionGames.length > 0 &&
+    gameUpdates.every(gu => !gu.updates.isActive || gu.updates.isActive === false);
+
+  // Check if session timer has expired
+  const sessionPauses = await loadPauseIntervals(sessionId);
+  const timerExpired = isTimerExpired(session, sessionPauses);
+
+  // Build session update
+  const sessionUpdate: Record<string, any> = {
+    totalGames: sessionTotalGames,
+    totalPoints: sessionTotalPoints,
+    highScore: sessionHighScore,
+  };
+
+  // Sessions from before pauses were recorded as intervals keep their stored totals
+  if (sessionPauses.length > 0) {
+    Object.assign(sessionUpdate, summarizePauses(sessionPauses));
+  }
+
+  // Set endedAt if session appears ended but doesn't have one
+  if (!session.endedAt && timerExpired) {
+    sessionUpdate.endedAt = getTimerExpiry(session, sessionPauses);
+  }
+
+  // Update currentGameId to the last active game, or null if all games ended
+  const lastActiveGame = [...gameUpdates].reverse().find(gu => gu.updates.isActive !== false);
+  if (lastActiveGame) {
+    sessionUpdate.currentGameId = lastActiveGame.gameId;
+  } else if (sessionGames.length > 0) {
+    // All games ended - point to the last game but don't null it out
+    // (so we can still see the last game state)
+    sessionUpdate.currentGameId = sessionGames[sessionGames.length - 1].id;
+  }
+
+  // Apply session update
+  const [updatedSession] = await db.update(sessions)
+    .set(sessionUpdate)
+    .where(eq(sessions.id, sessionId))
+    .returning();
+
+  return {
+    session: updatedSession,
+    gamesProcessed: gameUpdates.length,
+    totalGames: sessionTotalGames,
+    totalPoints: sessionTotalPoints,
+    highScore: sessionHighScore,
+    sessionEnded: !!sessionUpdate.endedAt,
+  };
+}
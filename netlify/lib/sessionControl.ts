@@ -0,0 +1,64 @@
+import { db, sessions } from "../../db";
+import { and, eq, isNull, lt, or } from "drizzle-orm";
+
+// Controller lease - only one tab at a time may write to a session.
+//
+// The controlling tab's session stream renews the lease while it's open. Another
+// tab can claim a session whose lease has run out, or take it over outright;
+// writes carrying the old controller's ID are rejected from then on.
+
+export const CONTROLLER_LEASE_MS = 30000;
+
+export function getLeaseExpiry() {
+  return new Date(Date.now() + CONTROLLER_LEASE_MS);
+}
+
+// A session row without what lets a tab or a remote control it - the controller
+// lease and the pairing code - for payloads anyone who knows the session can read
+export function toPublicSession<T extends Record<string, any>>(session: T) {
+  const { controllerId, controllerLeaseExpiresAt, pairingCode, ...publicSession } = session;
+  return publicSession;
+}
+
+// Why a write from this controller can't be applied to the session, or null if it can
+export function getControllerError(session: any, controllerId: unknown): string | null {
+  if (!session?.controllerId || session.controllerId === controllerId) {
+    return null;
+  }
+  return "This session is being controlled from another tab - take control there to make changes";
+}
+
+/**
+ * Claim a session's controller lease
+ *
+ * Succeeds if nobody holds the lease, this controller already does, or the
+ * holder's lease has run out - or always with takeOver. Returns the updated
+ * session, or null if another controller still holds it (or the session has
+ * ended or doesn't exist).
+ */
+export async function acquireControllerLease(sessionId: string, controllerId: string, takeOver: boolean) {
+  const claimable = takeOver
+    ? undefined
+    : or(
+      isNull(sessions.controllerId),
+      eq(sessions.controllerId, controllerId),
+      lt(sessions.controllerLeaseExpiresAt, new Date()),
+    );
+
+  const [session] = await db.update(sessions)
+    .set({ controllerId, controllerLeaseExpiresAt: getLeaseExpiry() })
+    .where(and(eq(sessions.id, sessionId), isNull(sessions.endedAt), claimable))
+    .returning();
+
+  return session ?? null;
+}
+
+// Extend the lease if this controller still holds it - returns whether it does
+export async function renewControllerLease(sessionId: string, controllerId: string) {
+  const renewed = await db.update(sessions)
+    .set({ controllerLeaseExpiresAt: getLeaseExpiry() })
+    .where(and(eq(sessions.id, sessionId), eq(sessions.controllerId, controllerId)))
+    .returning({ id: sessions.id });
+
+  return renewed.length > 0;
+}
@@ -0,0 +1,135 @@
+import { db, sessions } from "../../db";
+import { and, desc, eq, gte, lt, or, sql, type SQL } from "drizzle-orm";
+import { isUuid, parseClientTimestamp } from "./clientInput";
+import { toPublicSession } from "./sessionControl";
+
+/**
+ * Session list - one page of sessions at a time, for GET /api/session without an id
+ *
+ * Query params (all optional):
+ * - sort: 'recent' (default, newest first), 'highScore' or 'totalPoints' (highest first)
+ * - from, to: ISO timestamps - sessions started at or after `from` and before `to`
+ * - minScore: sessions whose high score is at least this
+ * - limit: page size (default DEFAULT_LIMIT, at most MAX_LIMIT)
+ * - cursor: the nextCursor from the page before
+ *
+ * Pages are keyed on the sort column and then the session ID (keyset
+ * pagination), so sessions added or deleted between pages don't shift what
+ * comes next. The cursor is opaque to the client.
+ */
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Postgres keeps timestamps to the microsecond, but a cursor (like any JS date)
+// only to the millisecond - so 'recent' sorts and compares on startedAt cut to
+// milliseconds, or sessions could be skipped or repeated across pages
+const SORT_COLUMNS = {
+  recent: sql`date_trunc('milliseconds', ${sessions.startedAt})`,
+  highScore: sessions.highScore,
+  totalPoints: sessions.totalPoints,
+};
+
+type SortKey = keyof typeof SORT_COLUMNS;
+
+type SessionListQuery = {
+  sort: SortKey;
+  from?: Date;
+  to?: Date;
+  minScore?: number;
+  limit: number;
+  cursor?: { value: string | number; id: string };
+};
+
+function encodeCursor(sort: SortKey, session: any) {
+  const value = sort === "recent" ? new Date(session.startedAt).toISOString() : session[sort];
+  return Buffer.from(JSON.stringify({ value, id: session.id })).toString("base64url");
+}
+
+function decodeCursor(sort: SortKey, cursor: string) {
+  try {
+    const { value, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    const valid = isUuid(id) && (sort === "recent" ? !!parseClientTimestamp(value) : Number.isInteger(value));
+    return valid ? { value, id } : null;
+  } catch {
+    return null;
+  }
+}
+
+// Read the list params from a request URL - returns { query } or { error }
+export function parseSessionListQuery(url: URL): { query?: SessionListQuery; error?: string } {
+  const params = url.searchParams;
+
+  const sort = (params.get("sort") ?? "recent") as SortKey;
+  if (!(sort in SORT_COLUMNS)) {
+    return { error: `sort must be one of: ${Object.keys(SORT_COLUMNS).join(", ")}` };
+  }
+
+  const query: SessionListQuery = { sort, limit: DEFAULT_LIMIT };
+
+  for (const key of ["from", "to"] as const) {
+    const value = params.get(key);
+    if (value === null) continue;
+    const date = parseClientTimestamp(value);
+    if (!date) {
+      return { error: `${key} must be an ISO timestamp` };
+    }
+    query[key] = date;
+  }
+
+  const minScore = params.get("minScore");
+  if (minScore !== null) {
+    query.minScore = Number(minScore);
+    if (!Number.isInteger(query.minScore) || query.minScore < 0) {
+      return { error: "minScore must be a whole number" };
+    }
+  }
+
+  const limit = params.get("limit");
+  if (limit !== null) {
+    query.limit = Number(limit);
+    if (!Number.isInteger(query.limit) || query.limit < 1 || query.limit > MAX_LIMIT) {
+      return { error: `limit must be a whole number from 1 to ${MAX_LIMIT}` };
+    }
+  }
+
+  const cursor = params.get("cursor");
+  if (cursor !== null) {
+    const decoded = decodeCursor(sort, cursor);
+    if (!decoded) {
+      return { error: "cursor is not valid for this sort" };
+    }
+    query.cursor = decoded;
+  }
+
+  return { query };
+}
+
+// A page of sessions - returns { sessions, nextCursor } (nextCursor null on the last page)
+export async function listSessions({ sort, from, to, minScore, limit, cursor }: SessionListQuery) {
+  const column: any = SORT_COLUMNS[sort];
+  const conditions: (SQL | undefined)[] = [];
+
+  if (from) conditions.push(gte(sessions.startedAt, from));
+  if (to) conditions.push(lt(sessions.startedAt, to));
+  if (minScore !== undefined) conditions.push(gte(sessions.highScore, minScore));
+
+  if (cursor) {
+    const value: any = sort === "recent" ? sql`${cursor.value}::timestamp` : cursor.value;
+    conditions.push(or(
+      lt(column, value),
+      and(eq(column, value), lt(sessions.id, cursor.id)),
+    ));
+  }
+
+  // One extra row says whether there's another page
+  const rows = await db.query.sessions.findMany({
+    where: and(...conditions),
+    orderBy: [desc(column), desc(sessions.id)],
+    limit: limit + 1,
+  });
+
+  const page = rows.slice(0, limit);
+  const nextCursor = rows.length > limit ? encodeCursor(sort, page[page.length - 1]) : null;
+  return { sessions: page.map(toPublicSession), nextCursor };
+}
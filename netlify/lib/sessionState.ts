@@ -0,0 +1,105 @@
+import { db, sessions, games, events, pauseIntervals, players } from "../../db";
+import { eq, asc, inArray } from "drizzle-orm";
+import { getTimeRemaining, getTimerExpiry, isTimerExpired, summarizePauses } from "../../src/sessionClock.js";
+import { endSession } from "./closeOut";
+import { toPublicSession } from "./sessionControl";
+
+// Every pause in a session, oldest first
+export async function loadPauseIntervals(sessionId: string) {
+  return db.query.pauseIntervals.findMany({
+    where: eq(pauseIntervals.sessionId, sessionId),
+    orderBy: [asc(pauseIntervals.pausedAt)],
+  });
+}
+
+// Bring the pause summary on the session row in step with its intervals
+export async function syncPauseSummary(sessionId: string) {
+  const intervals = await loadPauseIntervals(sessionId);
+  const [session] = await db.update(sessions)
+    .set(summarizePauses(intervals))
+    .where(eq(sessions.id, sessionId))
+    .returning();
+  return session;
+}
+
+/**
+ * Everything a client needs to show a session - the payload of GET /api/session?id=
+ * and of each update on the session stream
+ *
+ * Ends the session first if its timer ran out while nobody was watching (the
+ * scheduled auto-close does the same for sessions nobody opens again).
+ * The controller lease and pairing code are left off the session - it says
+ * whether a tab controls it and whether that's the given controller instead.
+ * Returns null if the session doesn't exist.
+ */
+export async function loadSessionState(sessionId: string, controllerId: string | null = null) {
+  let session = await db.query.sessions.findFirst({
+    where: eq(sessions.id, sessionId),
+  });
+
+  if (!session) {
+    return null;
+  }
+
+  const sessionPauses = await loadPauseIntervals(sessionId);
+
+  // End the session if its timer ran out while nobody was watching
+  if (!session.endedAt && isTimerExpired(session, sessionPauses)) {
+    await endSession(session, getTimerExpiry(session, sessionPauses), 'session_ended');
+    session = (await db.query.sessions.findFirst({
+      where: eq(sessions.id, sessionId),
+    }))!;
+  }
+
+  // Get all games for this session
+  const sessionGames = await db.query.games.findMany({
+    where: eq(games.sessionId, sessionId),
+    orderBy: (games, { asc }) => [asc(games.startedAt)],
+  });
+
+  // Find the current active game if any
+  // If currentGameId is set, use that; otherwise find the most recent game
+  let currentGame = session.currentGameId
+    ? sessionGames.find(g => g.id === session.currentGameId)
+    : null;
+
+  // If no currentGameId but there are games, use the most recent one
+  // This handles the "game over within session" state
+  if (!currentGame && sessionGames.length > 0) {
+    currentGame = sessionGames[sessionGames.length - 1];
+  }
+
+  // The current game's event log, so a reloaded client can continue the
+  // event sequence and rebuild its undo/redo history
+  const currentGameEvents = currentGame
+    ? await db.query.events.findMany({
+      where: eq(events.gameId, currentGame.id),
+      orderBy: [asc(events.sequenceNumber)],
+    })
+    : [];
+
+  // The session's players, in turn order
+  const sessionPlayers = session.playerIds?.length
+    ? await db.query.players.findMany({
+      where: inArray(players.id, session.playerIds),
+    })
+    : [];
+  const playersInOrder = (session.playerIds ?? [])
+    .map(id => sessionPlayers.find(player => player.id === id))
+    .filter(Boolean);
+
+  return {
+    session: {
+      ...toPublicSession(session),
+      isControlled: !!session.controllerId,
+      isController: !!controllerId && session.controllerId === controllerId,
+    },
+    players: playersInOrder,
+    games: sessionGames,
+    currentGame,
+    currentGameEvents,
+    pauseIntervals: sessionPauses,
+    timeRemaining: session.endedAt ? null : getTimeRemaining(session, sessionPauses),
+    isEnded: !!session.endedAt,
+  };
+}
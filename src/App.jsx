@@ -5,23 +5,82 @@ import { useVoiceControl } from './useVoiceControl'
 import { useMicrophoneSelector } from './useMicrophoneSelector'
 import { useGameTracking } from './useGameTracking'
 import { useAudioFeedback } from './useAudioFeedback'
+import { useOutbox } from './useOutbox'
+import { useSessionControl } from './useSessionControl'
+import { usePlayers } from './usePlayers'
+import { getNextPlayerId, getPlayerHighs, getPlayerName } from './players'
+import { getControllerId } from './controllerId'
 import { useServerState, serverStateToGameState } from './useServerState'
+import { RULE_PRESETS, DEFAULT_RULE_SET, getRuleSetLabel } from './gameRules'
+import { formatTime } from './formatTime'
 import VoiceButton from './VoiceButton'
+import PlayerPicker from './PlayerPicker'
+import Scoreboard from './Scoreboard'
+import SessionSummary from './SessionSummary'
 import History from './History'
+import PlayerProfile from './PlayerProfile'
+import SessionDetail from './SessionDetail'
+import GameReplay from './GameReplay'
+import Records from './Records'
+import Efficiency from './Efficiency'
+import Trends from './Trends'
+import Spectator from './Spectator'
+import Remote from './Remote'
+import PairRemote from './PairRemote'
 import './App.css'
 
-function formatTime(seconds) {
-  const mins = Math.floor(seconds / 60)
-  const secs = seconds % 60
-  return `${mins}:${secs.toString().padStart(2, '0')}`
-}
-
 function GameSession() {
   const navigate = useNavigate()
   const { sessionId: urlSessionId } = useParams()
 
+  // Database tracking
+  const {
+    createSession,
+    endSessionTracking,
+    createGame,
+    endGameTracking,
+    recordMake,
+    recordMiss,
+    recordModeChange,
+    recordUndo,
+    recordRedo,
+    recordFinalShot,
+    syncGameState,
+    recordPause,
+    setSessionId,
+    setGameId,
+    setLastEndedGameId,
+    restoreGameEvents,
+    getTrackedGame,
+  } = useGameTracking()
+
+  // Writes that haven't reached the server yet
+  const { unsyncedCount, rejectedCount, rejectionError, retryRejectedWrites, discardRejectedWrites } = useOutbox()
+
+  // Session started in this tab - its state is already here, and the server may not have it yet
+  const [localSessionId, setLocalSessionId] = useState(null)
+
+  // Commands from a paired phone take the same path as voice commands (set to handleVoiceCommand below)
+  const remoteCommandRef = useRef(null)
+  const handleRemoteCommand = useCallback((action) => {
+    remoteCommandRef.current?.(action)
+  }, [])
+
+  // Server state for hydration, kept live by the session stream
+  const { loading: serverLoading, error: serverError, serverState } = useServerState(urlSessionId, {
+    fetchInitialState: urlSessionId !== localSessionId,
+    controllerId: getControllerId(),
+    onCommand: handleRemoteCommand,
+  })
+
+  // Only one tab controls a session - the others follow along read-only until they take control
+  const { hasControl, takeControl, error: controlError } = useSessionControl(urlSessionId, serverState)
+
+  // Game state - a tab without control leaves ending the session on the timer to the controlling tab
   const {
     sessionActive,
+    ruleSet,
+    rules,
     timeRemaining,
     sessionHighScore,
     paused,
@@ -43,35 +102,71 @@ function GameSession() {
     missShot,
     enterPointMode,
     enterMultiplierMode,
+    continueInPointMode,
     undo,
     canUndo,
+    redo,
+    canRedo,
     addFinalMake,
     addFinalMiss,
     hydrateFromServer,
-  } = useGameState()
-
-  // Database tracking
-  const {
-    createSession,
-    endSessionTracking,
-    createGame,
-    endGameTracking,
-    recordMake,
-    recordMiss,
-    recordModeChange,
-    syncGameState,
-    syncSessionPause,
-    setSessionId,
-    setGameId,
-  } = useGameTracking()
+    applyServerUpdate,
+  } = useGameState({ hasControl })
 
-  // Server state for hydration
-  const { loading: serverLoading, error: serverError, serverState } = useServerState(urlSessionId)
   const [hydrationComplete, setHydrationComplete] = useState(!urlSessionId)
   const [endedSessionData, setEndedSessionData] = useState(null)
 
   // Ref to skip lifecycle effects during the render cycle after hydration
   const hydrationJustCompletedRef = useRef(false)
+  // The server state most recently applied (at hydration or as a live update)
+  const appliedServerStateRef = useRef(null)
+
+  // This session's players in turn order, the shooter of the current (or last) game,
+  // who was picked to shoot next (null to follow the rotation) and every finished game's { playerId, score }
+  const [sessionPlayers, setSessionPlayers] = useState({ players: [], rotate: false })
+  const [shooterId, setShooterId] = useState(null)
+  const [nextShooterChoice, setNextShooterChoice] = useState(null)
+  const [finishedGames, setFinishedGames] = useState([])
+
+  // Take the session's players and turns from server data
+  const syncPlayersWithServer = useCallback((gameData) => {
+    setSessionPlayers({ players: gameData.players, rotate: gameData.rotatePlayers })
+    setShooterId(gameData.currentGame?.playerId ?? null)
+    setFinishedGames(gameData.games
+      .filter(g => !g.isActive)
+      .map(g => ({ playerId: g.playerId, score: g.finalScore })))
+  }, [])
+
+  // Sync the pause tracking ref with server data (so the pause isn't recorded straight back)
+  const syncPauseWithServer = useCallback((gameData) => {
+    prevPausedRef.current = gameData.isPaused || false
+  }, [])
+
+  // Point tracking and its bookkeeping refs at the server's session, so it carries on from there
+  const syncTrackingWithServer = useCallback((gameData) => {
+    syncPauseWithServer(gameData)
+
+    // Sync game tracking stats
+    if (gameData.games && gameData.games.length > 0) {
+      gameCountRef.current = gameData.games.length
+      // Calculate total points from completed games
+      totalPointsRef.current = gameData.games.reduce((sum, g) => {
+        // Only count final scores from inactive games
+        return sum + (g.isActive ? 0 : (g.finalScore || 0))
+      }, 0)
+    }
+
+    if (gameData.currentGame && !gameData.gameIsActive) {
+      // Game over within the session - the final shot still belongs to this game,
+      // so it carries on from the game's last sequence number
+      setGameId(null)
+      setLastEndedGameId(gameData.currentGame.id)
+      restoreGameEvents(gameData.gameEvents)
+    } else if (gameData.currentGame) {
+      setGameId(gameData.currentGame.id)
+      restoreGameEvents(gameData.gameEvents)
+    }
+  }, [syncPauseWithServer, setGameId, setLastEndedGameId, restoreGameEvents])
 
   // Hydrate state from server when loading a session from URL
   useEffect(() => {
@@ -88,39 +183,14 @@ function GameSession() {
 
           hydrateFromServer(gameData)
           setSessionId(serverState.session.id)
-
-          // Sync the pause state refs with server data
-          if (gameData.isPaused && gameData.pausedAt) {
-            pauseStartTimeRef.current = new Date(gameData.pausedAt).getTime()
-          }
-          totalPausedMsRef.current = gameData.totalPausedMs || 0
-          prevPausedRef.current = gameData.isPaused || false
-
-          // Sync game tracking stats
-          if (gameData.games && gameData.games.length > 0) {
-            gameCountRef.current = gameData.games.length
-            // Calculate total points from completed games
-            totalPointsRef.current = gameData.games.reduce((sum, g) => {
-              // Only count final scores from inactive games
-              return sum + (g.isActive ? 0 : (g.finalScore || 0))
-            }, 0)
-          }
-
-          if (gameData.currentGame) {
-            setGameId(gameData.currentGame.id)
-            // Set the previous score ref for tracking
-            if (gameData.gameIsActive && gameData.gameState) {
-              prevScoreRef.current = gameData.gameState.score || 0
-              // Also sync other tracking refs to prevent spurious recordings
-              prevMissesRef.current = gameData.gameState.misses ?? 3
-              prevFreebiesRef.current = gameData.gameState.freebiesRemaining ?? 0
-            }
-          }
+          syncTrackingWithServer(gameData)
+          syncPlayersWithServer(gameData)
         }
       }
+      appliedServerStateRef.current = serverState
       setHydrationComplete(true)
     }
-  }, [urlSessionId, serverState, hydrationComplete, hydrateFromServer, setSessionId, setGameId])
+  }, [urlSessionId, serverState, hydrationComplete, hydrateFromServer, setSessionId, syncTrackingWithServer, syncPlayersWithServer])
 
   // Audio feedback
   const {
@@ -136,93 +206,168 @@ function GameSession() {
     playCommandRecognized,
     playCommandUnknown,
     playUndo,
+    playRedo,
   } = useAudioFeedback()
 
-  // Wrap undo with sound
+  // Share a read-only view of this session (for following along on another screen)
+  const [watchLinkCopied, setWatchLinkCopied] = useState(false)
+  const copyWatchLink = useCallback(async () => {
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}/session/${urlSessionId}/watch`)
+      setWatchLinkCopied(true)
+    } catch (error) {
+      console.error('Failed to copy watch link:', error)
+    }
+  }, [urlSessionId])
+
+  // Pair a phone as a remote controller - it enters the code shown here
+  const [pairing, setPairing] = useState(null)
+  const showPairingCode = useCallback(async () => {
+    setPairing({ code: null, error: null })
+    try {
+      const response = await fetch('/api/pairing', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId: urlSessionId, controllerId: getControllerId() }),
+      })
+      const data = await response.json()
+      setPairing(data.pairingCode
+        ? { code: data.pairingCode, error: null }
+        : { code: null, error: data.error || 'Failed to create pairing code' })
+    } catch (error) {
+      console.error('Failed to create pairing code:', error)
+      setPairing({ code: null, error: 'Not connected - try again in a moment' })
+    }
+  }, [urlSessionId])
+
+  // Rule preset and players chosen on the pre-session screen
+  const [selectedRuleSet, setSelectedRuleSet] = useState(DEFAULT_RULE_SET)
+  const { players: knownPlayers, error: playersError, addPlayer } = usePlayers()
+  const [selectedPlayerIds, setSelectedPlayerIds] = useState([])
+  const [rotateSelectedPlayers, setRotateSelectedPlayers] = useState(true)
+  const startSelectedSession = useCallback(() => {
+    const players = selectedPlayerIds
+      .map(id => knownPlayers.find(player => player.id === id))
+      .filter(Boolean)
+    setSessionPlayers({ players, rotate: players.length > 1 && rotateSelectedPlayers })
+    setShooterId(players[0]?.id ?? null)
+    setNextShooterChoice(null)
+    setFinishedGames([])
+    startSession(selectedRuleSet)
+  }, [startSession, selectedRuleSet, selectedPlayerIds, knownPlayers, rotateSelectedPlayers])
+
+  // Who shoots the next game - the pick from the game over screen, otherwise the next in turn
+  const sessionPlayerIds = sessionPlayers.players.map(player => player.id)
+  const upNextId = nextShooterChoice
+    ?? (shooterId && !sessionPlayers.rotate ? shooterId : getNextPlayerId(sessionPlayerIds, shooterId))
+  const startNextGame = useCallback(() => {
+    setShooterId(upNextId)
+    setNextShooterChoice(null)
+    startNewGame()
+  }, [upNextId, startNewGame])
+
+  // Wrap undo/redo with sound and record them, so the server retracts or restores the event
+  // Set while a live update from another device is applied, so the lifecycle effects
+  // don't record (or sync back) what that device already sent
+  const remoteUpdateRef = useRef(false)
   const undoWithSound = useCallback(() => {
     if (undo()) {
       playUndo()
+      recordUndo()
+    }
+  }, [undo, playUndo, recordUndo])
+
+  const redoWithSound = useCallback(() => {
+    if (redo()) {
+      playRedo()
+      recordRedo()
     }
-  }, [undo, playUndo])
+  }, [redo, playRedo, recordRedo])
 
   // Track game count and total points for session stats
   const gameCountRef = useRef(0)
   const totalPointsRef = useRef(0)
-  const prevScoreRef = useRef(0)
 
-  // Wrapped miss action that includes tracking
-  const prevMissesRef = useRef(misses)
-  const prevFreebiesRef = useRef(freebiesRemaining)
-  const trackingMissRef = useRef(false)
-  const pendingTipInRef = useRef(false)
+  // Wrap shots and mode switches to record each one from the state it produced. Recording
+  // here rather than diffing state in an effect queues a game-ending miss before the write that ends the game
+  const trackMake = useCallback((isTipIn) => {
+    const result = makeShot()
+    if (result) {
+      recordMake({ ...result.state, pointsEarned: result.pointsEarned }, isTipIn)
+    }
+  }, [makeShot, recordMake])
+
+  const trackMiss = useCallback((isTipIn) => {
+    const result = missShot()
+    if (result) {
+      recordMiss(result.state, result.usedFreebie, isTipIn)
+    }
+  }, [missShot, recordMiss])
 
-  const trackedMissShot = useCallback(() => {
-    trackingMissRef.current = true
-    missShot()
-  }, [missShot])
+  const trackedMakeShot = useCallback(() => trackMake(false), [trackMake])
+  const trackedMissShot = useCallback(() => trackMiss(false), [trackMiss])
 
   // Tip-in actions
-  const tipInMakeShot = useCallback(() => {
-    pendingTipInRef.current = true
-    makeShot()
-  }, [makeShot])
+  const tipInMakeShot = useCallback(() => trackMake(true), [trackMake])
+  const tipInMissShot = useCallback(() => trackMiss(true), [trackMiss])
 
-  const tipInMissShot = useCallback(() => {
-    pendingTipInRef.current = true
-    trackingMissRef.current = true
-    missShot()
-  }, [missShot])
+  const trackedEnterPointMode = useCallback(() => {
+    const result = enterPointMode()
+    if (result) {
+      recordModeChange(result.state, 'multiplier', 'point')
+    }
+  }, [enterPointMode, recordModeChange])
+
+  const trackedEnterMultiplierMode = useCallback(() => {
+    const result = enterMultiplierMode()
+    if (result) {
+      recordModeChange(result.state, 'point', 'multiplier')
+    }
+  }, [enterMultiplierMode, recordModeChange])
+
+  // Passing up multiplier mode is recorded as a point to point mode change
+  const trackedContinueInPointMode = useCallback(() => {
+    const result = continueInPointMode()
+    if (result) {
+      recordModeChange(result.state, 'point', 'point')
+    }
+  }, [continueInPointMode, recordModeChange])
 
   // Final shot handlers (for adding a shot after session timer expires)
   const handleFinalMake = useCallback(() => {
     const result = addFinalMake()
     if (result) {
       playMake()
-      // Track the final make
-      recordMake({
-        score: result.newScore,
-        multiplier,
-        multiplierShotsRemaining,
-        misses,
-        freebiesRemaining,
-        mode,
-        pointsEarned: result.pointsAdded,
-      }, false)
+      // Track the final make against the game that just ended
+      recordFinalShot(true)
     }
-  }, [addFinalMake, playMake, recordMake, multiplier, multiplierShotsRemaining, misses, freebiesRemaining, mode])
+  }, [addFinalMake, playMake, recordFinalShot])
 
   const handleFinalMiss = useCallback(() => {
     if (addFinalMiss()) {
       playMiss()
-      // Track the final miss
-      recordMiss({
-        score,
-        multiplier,
-        multiplierShotsRemaining,
-        misses,
-        freebiesRemaining,
-        mode,
-      }, false, false)
+      // Track the final miss against the game that just ended
+      recordFinalShot(false)
     }
-  }, [addFinalMiss, playMiss, recordMiss, score, multiplier, multiplierShotsRemaining, misses, freebiesRemaining, mode])
+  }, [addFinalMiss, playMiss, recordFinalShot])
 
   // Use refs to avoid stale closures in voice command handler
-  const gameStateRef = useRef({ gameActive, mode, sessionActive, canEnterMultiplierMode, paused, canUndo })
-  const actionsRef = useRef({ makeShot, missShot: trackedMissShot, tipInMakeShot, tipInMissShot, enterPointMode, enterMultiplierMode, startSession, startNewGame, endSession, togglePause, undo: undoWithSound })
+  const gameStateRef = useRef({ gameActive, mode, sessionActive, canEnterMultiplierMode, paused, canUndo, canRedo, hasControl })
+  const actionsRef = useRef({ makeShot: trackedMakeShot, missShot: trackedMissShot, tipInMakeShot, tipInMissShot, enterPointMode: trackedEnterPointMode, enterMultiplierMode: trackedEnterMultiplierMode, startSession: startSelectedSession, startNewGame: startNextGame, endSession, togglePause, undo: undoWithSound, redo: redoWithSound })
 
   useEffect(() => {
-    gameStateRef.current = { gameActive, mode, sessionActive, canEnterMultiplierMode, paused, canUndo }
-  }, [gameActive, mode, sessionActive, canEnterMultiplierMode, paused, canUndo])
+    gameStateRef.current = { gameActive, mode, sessionActive, canEnterMultiplierMode, paused, canUndo, canRedo, hasControl }
+  }, [gameActive, mode, sessionActive, canEnterMultiplierMode, paused, canUndo, canRedo, hasControl])
 
   useEffect(() => {
-    actionsRef.current = { makeShot, missShot: trackedMissShot, tipInMakeShot, tipInMissShot, enterPointMode, enterMultiplierMode, startSession, startNewGame, endSession, togglePause, undo: undoWithSound }
-  }, [makeShot, trackedMissShot, tipInMakeShot, tipInMissShot, enterPointMode, enterMultiplierMode, startSession, startNewGame, endSession, togglePause, undoWithSound])
+    actionsRef.current = { makeShot: trackedMakeShot, missShot: trackedMissShot, tipInMakeShot, tipInMissShot, enterPointMode: trackedEnterPointMode, enterMultiplierMode: trackedEnterMultiplierMode, startSession: startSelectedSession, startNewGame: startNextGame, endSession, togglePause, undo: undoWithSound, redo: redoWithSound }
+  }, [trackedMakeShot, trackedMissShot, tipInMakeShot, tipInMissShot, trackedEnterPointMode, trackedEnterMultiplierMode, startSelectedSession, startNextGame, endSession, togglePause, undoWithSound, redoWithSound])
 
   // Track session lifecycle
   const prevSessionActiveRef = useRef(false)
   useEffect(() => {
-    // Skip side effects during hydration
-    if (hydrationJustCompletedRef.current) {
+    // Skip side effects during hydration and live updates, and in a tab without control
+    if (hydrationJustCompletedRef.current || remoteUpdateRef.current || !hasControl) {
       prevSessionActiveRef.current = sessionActive
       return
     }
@@ -234,8 +379,12 @@ function GameSession() {
       // Session just started
       gameCountRef.current = 0
       totalPointsRef.current = 0
-      createSession().then((newSessionId) => {
+      createSession(ruleSet, {
+        playerIds: sessionPlayers.players.map(player => player.id),
+        rotatePlayers: sessionPlayers.rotate,
+      }).then((newSessionId) => {
         if (newSessionId) {
+          setLocalSessionId(newSessionId)
           // Navigate to session URL
           navigate(`/session/${newSessionId}`, { replace: true })
         }
@@ -246,13 +395,14 @@ function GameSession() {
       // Navigate back to home
       navigate('/', { replace: true })
     }
-  }, [sessionActive, sessionHighScore, createSession, endSessionTracking, navigate])
+  }, [sessionActive, sessionHighScore, ruleSet, sessionPlayers, hasControl, createSession, endSessionTracking, navigate])
 
   // Track game lifecycle
   const prevGameActiveRef = useRef(false)
   useEffect(() => {
-    // Skip side effects during hydration (but clear the flag after this effect runs)
-    if (hydrationJustCompletedRef.current) {
+    // Skip side effects during hydration (but clear the flag after this effect runs), live updates
+    // and in a tab without control
+    if (hydrationJustCompletedRef.current || remoteUpdateRef.current || !hasControl) {
       prevGameActiveRef.current = gameActive
       hydrationJustCompletedRef.current = false
       return
@@ -264,120 +414,21 @@ function GameSession() {
     if (gameActive && !wasActive) {
       // Game just started
       gameCountRef.current++
-      prevScoreRef.current = 0
-      createGame()
+      createGame(shooterId)
     } else if (!gameActive && wasActive) {
       // Game just ended
       totalPointsRef.current += score
+      setFinishedGames(prev => [...prev, { playerId: shooterId, score }])
       const endReason = misses <= 0 ? 'out_of_misses' : (timeRemaining <= 0 ? 'session_ended' : 'manual_end')
       endGameTracking(score, endReason)
     }
-  }, [gameActive, score, misses, timeRemaining, createGame, endGameTracking])
-
-  // Track score changes (makes in point mode)
-  useEffect(() => {
-    // Always update the ref to prevent spurious recordings after hydration
-    if (!gameActive || hydrationComplete === false) {
-      prevScoreRef.current = score
-      return
-    }
-    const prevScore = prevScoreRef.current
-    if (score > prevScore) {
-      const pointsEarned = score - prevScore
-      const isTipIn = pendingTipInRef.current
-      pendingTipInRef.current = false
-      recordMake({
-        score,
-        multiplier,
-        multiplierShotsRemaining,
-        misses,
-        freebiesRemaining,
-        mode,
-        pointsEarned,
-      }, isTipIn)
-    }
-    prevScoreRef.current = score
-  }, [score, gameActive, multiplier, multiplierShotsRemaining, misses, freebiesRemaining, mode, recordMake, hydrationComplete])
-
-  // Track multiplier changes (makes in multiplier mode)
-  const prevMultiplierRef = useRef(multiplier)
-  useEffect(() => {
-    if (!gameActive) return
-    const prevMultiplier = prevMultiplierRef.current
-    // Multiplier increases when making a shot in multiplier mode
-    if (multiplier > prevMultiplier && mode === 'multiplier') {
-      const isTipIn = pendingTipInRef.current
-      pendingTipInRef.current = false
-      recordMake({
-        score,
-        multiplier,
-        multiplierShotsRemaining,
-        misses,
-        freebiesRemaining,
-        mode,
-        pointsEarned: 0, // No points earned in multiplier mode
-      }, isTipIn)
-    }
-    prevMultiplierRef.current = multiplier
-  }, [multiplier, gameActive, score, multiplierShotsRemaining, misses, freebiesRemaining, mode, recordMake])
-
-  // Track mode changes
-  const prevModeRef = useRef(mode)
-  useEffect(() => {
-    if (!gameActive || hydrationComplete === false) {
-      prevModeRef.current = mode
-      return
-    }
-    const prevMode = prevModeRef.current
-    if (mode !== prevMode) {
-      recordModeChange({
-        score,
-        multiplier,
-        multiplierShotsRemaining,
-        misses,
-        freebiesRemaining,
-        mode,
-      }, prevMode, mode)
-    }
-    prevModeRef.current = mode
-  }, [mode, gameActive, score, multiplier, multiplierShotsRemaining, misses, freebiesRemaining, recordModeChange, hydrationComplete])
-
-  // Track misses after they happen
-  useEffect(() => {
-    if (!gameActive || !trackingMissRef.current || hydrationComplete === false) {
-      prevMissesRef.current = misses
-      prevFreebiesRef.current = freebiesRemaining
-      return
-    }
-
-    const prevMisses = prevMissesRef.current
-    const prevFreebies = prevFreebiesRef.current
-    trackingMissRef.current = false
-
-    // Determine if a freebie was used
-    const usedFreebie = prevFreebies > freebiesRemaining && prevMisses === misses
-
-    // Check if this was a tip-in
-    const isTipIn = pendingTipInRef.current
-    pendingTipInRef.current = false
-
-    recordMiss({
-      score,
-      multiplier,
-      multiplierShotsRemaining,
-      misses,
-      freebiesRemaining,
-      mode,
-    }, usedFreebie, isTipIn)
-
-    prevMissesRef.current = misses
-    prevFreebiesRef.current = freebiesRemaining
-  }, [gameActive, misses, freebiesRemaining, score, multiplier, multiplierShotsRemaining, mode, recordMiss, hydrationComplete])
+  }, [gameActive, score, misses, timeRemaining, shooterId, hasControl, createGame, endGameTracking])
 
   // Sync game state to server on changes (debounced)
   const syncTimeoutRef = useRef(null)
   useEffect(() => {
-    if (!gameActive) return
+    // A live update came from the server, so there's nothing to send back (and a tab without control can't)
+    if (!gameActive || remoteUpdateRef.current || !hasControl) return
 
     // Debounce sync to avoid too many API calls
     if (syncTimeoutRef.current) {
@@ -400,17 +451,13 @@ function GameSession() {
         clearTimeout(syncTimeoutRef.current)
       }
     }
-  }, [gameActive, score, multiplier, multiplierShotsRemaining, misses, freebiesRemaining, mode, syncGameState])
+  }, [gameActive, score, multiplier, multiplierShotsRemaining, misses, freebiesRemaining, mode, hasControl, syncGameState])
 
-  // Sync pause state to server
-  const pauseStartTimeRef = useRef(null)
-  const totalPausedMsRef = useRef(0)
+  // Record pauses and resumes on the server
   const prevPausedRef = useRef(paused)
 
   useEffect(() => {
-    if (!sessionActive) {
-      pauseStartTimeRef.current = null
-      totalPausedMsRef.current = 0
+    if (!sessionActive || !hasControl) {
       prevPausedRef.current = paused
       return
     }
@@ -418,18 +465,10 @@ function GameSession() {
     const wasPaused = prevPausedRef.current
     prevPausedRef.current = paused
 
-    if (paused && !wasPaused) {
-      // Just paused
-      pauseStartTimeRef.current = Date.now()
-      syncSessionPause(true, pauseStartTimeRef.current, totalPausedMsRef.current)
-    } else if (!paused && wasPaused && pauseStartTimeRef.current) {
-      // Just resumed
-      const pauseDuration = Date.now() - pauseStartTimeRef.current
-      totalPausedMsRef.current += pauseDuration
-      pauseStartTimeRef.current = null
-      syncSessionPause(false, null, totalPausedMsRef.current)
+    if (paused !== wasPaused) {
+      recordPause(paused)
     }
-  }, [paused, sessionActive, syncSessionPause])
+  }, [paused, sessionActive, hasControl, recordPause])
 
   // Audio feedback for score changes (makes in point mode)
   const audioScoreRef = useRef(score)
@@ -471,13 +510,13 @@ function GameSession() {
     if (misses < audioMissesRef.current || freebiesRemaining < audioFreebiesRef.current) {
       playMiss()
     }
-    // Play celebration when passing a 10 (freebies increase to 3)
-    if (freebiesRemaining === 3 && audioFreebiesRef.current < 3) {
+    // Play celebration when passing a 10 (freebies refill)
+    if (freebiesRemaining === rules.freebiesAfterTen && audioFreebiesRef.current < rules.freebiesAfterTen) {
       playPassedTen()
     }
     audioMissesRef.current = misses
     audioFreebiesRef.current = freebiesRemaining
-  }, [misses, freebiesRemaining, gameActive, playMiss, playPassedTen, hydrationComplete])
+  }, [misses, freebiesRemaining, rules, gameActive, playMiss, playPassedTen, hydrationComplete])
 
   // Audio feedback for mode changes
   const audioModeRef = useRef(mode)
@@ -523,12 +562,62 @@ function GameSession() {
     audioPausedRef.current = paused
   }, [paused, sessionActive, playPauseToggle, hydrationComplete])
 
+  // The effects above have seen the live update (this runs after them, and before the next one is applied)
+  useEffect(() => {
+    remoteUpdateRef.current = false
+  })
+
+  // Apply live updates from other devices logging to this session
+  // Skipped while this device has unsynced writes - the server hasn't caught up with it yet
+  const unsyncedCountRef = useRef(unsyncedCount)
+  useEffect(() => {
+    unsyncedCountRef.current = unsyncedCount
+  }, [unsyncedCount])
+
+  useEffect(() => {
+    if (!hydrationComplete || !serverState || serverState === appliedServerStateRef.current) return
+    appliedServerStateRef.current = serverState
+
+    const gameData = serverStateToGameState(serverState)
+    if (!gameData || unsyncedCountRef.current > 0) return
+
+    remoteUpdateRef.current = true
+
+    if (gameData.sessionEnded) {
+      // Another device ended the session - show the summary
+      applyServerUpdate(gameData)
+      setEndedSessionData(gameData)
+      return
+    }
+
+    // Only restore the game when the server has something this device hasn't seen
+    const tracked = getTrackedGame()
+    const serverGameId = gameData.currentGame?.id ?? null
+    const serverLastSequenceNumber = gameData.gameEvents.at(-1)?.sequenceNumber ?? -1
+    const includeGame = gameData.gameIsActive
+      ? serverGameId !== tracked.gameId || serverLastSequenceNumber > tracked.lastSequenceNumber
+      : serverGameId !== null && (tracked.gameId !== null || serverGameId !== tracked.lastEndedGameId)
+
+    applyServerUpdate(gameData, { includeGame })
+    if (includeGame) {
+      syncTrackingWithServer(gameData)
+      syncPlayersWithServer(gameData)
+    } else {
+      syncPauseWithServer(gameData)
+    }
+  }, [hydrationComplete, serverState, applyServerUpdate, getTrackedGame, syncTrackingWithServer, syncPauseWithServer, syncPlayersWithServer])
+
   // Handle voice commands - uses refs to always have current state
   const handleVoiceCommand = useCallback((action) => {
-    const { gameActive: ga, mode: m, sessionActive: sa, canEnterMultiplierMode: cemm, paused: p, canUndo: cu } = gameStateRef.current
-    const { makeShot: ms, missShot: miss, tipInMakeShot: tms, tipInMissShot: tmiss, enterPointMode: epm, enterMultiplierMode: emm, startSession: ss, startNewGame: sng, endSession: es, togglePause: tp, undo: ud } = actionsRef.current
+    const { gameActive: ga, mode: m, sessionActive: sa, canEnterMultiplierMode: cemm, paused: p, canUndo: cu, canRedo: cr, hasControl: hc } = gameStateRef.current
+    const { makeShot: ms, missShot: miss, tipInMakeShot: tms, tipInMissShot: tmiss, enterPointMode: epm, enterMultiplierMode: emm, startSession: ss, startNewGame: sng, endSession: es, togglePause: tp, undo: ud, redo: rd } = actionsRef.current
+
+    console.log('[App] Voice command received:', action, { gameActive: ga, mode: m, sessionActive: sa, canEnterMultiplierMode: cemm, paused: p, canUndo: cu, canRedo: cr, hasControl: hc })
 
-    console.log('[App] Voice command received:', action, { gameActive: ga, mode: m, sessionActive: sa, canEnterMultiplierMode: cemm, paused: p, canUndo: cu })
+    if (!hc) {
+      console.log('[App] Ignored command - another tab is controlling this session')
+      return
+    }
 
     switch (action) {
       case 'make':
@@ -620,12 +709,24 @@ function GameSession() {
           console.log('[App] Ignored undo - conditions not met')
         }
         break
+      case 'redo':
+        if (ga && cr) {
+          console.log('[App] Executing redo()')
+          rd()
+        } else {
+          console.log('[App] Ignored redo - conditions not met')
+        }
+        break
       default:
         console.log('[App] Unknown action:', action)
         break
     }
   }, [])
 
+  useEffect(() => {
+    remoteCommandRef.current = handleVoiceCommand
+  }, [handleVoiceCommand])
+
   // Microphone selector
   const {
     devices: micDevices,
@@ -705,6 +806,32 @@ function GameSession() {
     getSelectedMicLabel
   }
 
+  // Each player's best game this session (counting the game in progress)
+  const playerHighs = getPlayerHighs(gameActive ? [...finishedGames, { playerId: shooterId, score }] : finishedGames)
+  const shooter = shooterId && sessionPlayers.players.length > 0
+    ? { name: getPlayerName(sessionPlayers.players, shooterId), high: playerHighs[shooterId] ?? 0 }
+    : null
+
+  // Shown in place of the controls while another tab controls the session
+  const controlNotice = (
+    <div className="control-notice">
+      <p className="voice-hint">This session is being controlled from another tab</p>
+      <button className="start-button" onClick={takeControl}>
+        Take Control
+      </button>
+      {controlError && <p className="control-error">{controlError}</p>}
+    </div>
+  )
+
+  // Writes the server turned down are held in the outbox rather than dropped - say so until they're dealt with
+  const rejectedNotice = rejectedCount > 0 && (
+    <div className="rejected-writes">
+      <span>{rejectedCount} not saved: {rejectionError}</span>
+      <button onClick={retryRejectedWrites}>Retry</button>
+      <button onClick={discardRejectedWrites}>Discard</button>
+    </div>
+  )
+
   // Loading screen while hydrating from server
   if (urlSessionId && (serverLoading || !hydrationComplete)) {
     return (
@@ -737,49 +864,20 @@ function GameSession() {
     const { session, games } = endedSessionData
     return (
       <div className="app">
-        <div className="pre-session ended-session">
-          <h1>Session Complete</h1>
-          <div className="session-date">
-            {new Date(session.startedAt).toLocaleDateString(undefined, {
-              weekday: 'long',
-              year: 'numeric',
-              month: 'long',
-              day: 'numeric',
-            })}
-          </div>
-          <div className="session-stats">
-            <div className="stat-item">
-              <span className="stat-value">{session.highScore}</span>
-              <span className="stat-label">High Score</span>
-            </div>
-            <div className="stat-item">
-              <span className="stat-value">{session.totalGames}</span>
-              <span className="stat-label">Games</span>
-            </div>
-            <div className="stat-item">
-              <span className="stat-value">{session.totalPoints}</span>
-              <span className="stat-label">Total Points</span>
-            </div>
-          </div>
-          {games && games.length > 0 && (
-            <div className="games-breakdown">
-              <h3>Games</h3>
-              <div className="games-list">
-                {games.map((game, index) => (
-                  <div key={game.id} className="game-item">
-                    <span className="game-number">#{index + 1}</span>
-                    <span className="game-score">{game.finalScore} pts</span>
-                    <span className="game-multiplier">{game.highMultiplier}x max</span>
-                    <span className="game-stats">{game.totalMakes} makes, {game.totalMisses} misses</span>
-                  </div>
-                ))}
-              </div>
-            </div>
-          )}
+        {rejectedNotice}
+        <SessionSummary
+          session={session}
+          games={games}
+          players={endedSessionData.players}
+          pauseIntervals={endedSessionData.pauseIntervals}
+        >
           <button className="start-button" onClick={() => navigate('/')}>
             Start New Session
           </button>
-        </div>
+          <Link to={`/history/${session.id}`} className="history-button">
+            Game Details
+          </Link>
+        </SessionSummary>
       </div>
     )
   }
@@ -788,6 +886,7 @@ function GameSession() {
   if (!sessionActive) {
     return (
       <div className="app">
+        {rejectedNotice}
         <div className="pre-session">
           <h1>Living Room Basketball Challenge</h1>
           {sessionEndedByTimer && (
@@ -818,8 +917,28 @@ function GameSession() {
               </div>
             </div>
           )}
-          <button className="start-button" onClick={startSession}>
-            Start 10-Minute Session
+          <PlayerPicker
+            players={knownPlayers}
+            selectedIds={selectedPlayerIds}
+            onSelectedIdsChange={setSelectedPlayerIds}
+            rotate={rotateSelectedPlayers}
+            onRotateChange={setRotateSelectedPlayers}
+            onAddPlayer={addPlayer}
+            error={playersError}
+          />
+          <div className="rule-set-picker">
+            {Object.entries(RULE_PRESETS).map(([key, preset]) => (
+              <button
+                key={key}
+                className={`rule-set-option ${selectedRuleSet === key ? 'selected' : ''}`}
+                onClick={() => setSelectedRuleSet(key)}
+              >
+                {preset.label}
+              </button>
+            ))}
+          </div>
+          <button className="start-button" onClick={startSelectedSession}>
+            Start {getRuleSetLabel(selectedRuleSet)}
           </button>
           <Link to="/history" className="history-button">
             View History
@@ -837,6 +956,7 @@ function GameSession() {
   if (!gameActive && sessionActive) {
     return (
       <div className="app">
+        {rejectedNotice}
         <div className="game-over">
           <div className="timer">{formatTime(timeRemaining)}</div>
           <h2>Game Over!</h2>
@@ -848,14 +968,42 @@ function GameSession() {
             <span className="label">Session High</span>
             <span className="value">{sessionHighScore}</span>
           </div>
-          <div className="game-over-buttons">
-            <button className="start-button" onClick={startNewGame}>
-              New Game
-            </button>
-            <button className="end-session-button" onClick={endSession}>
-              End Session
-            </button>
-          </div>
+          {sessionPlayers.players.length > 0 && (
+            <div className="player-turns">
+              <span className="label">Up Next</span>
+              <div className="player-options">
+                {sessionPlayers.players.map(player => (
+                  <button
+                    key={player.id}
+                    className={`player-option ${player.id === upNextId ? 'selected' : ''}`}
+                    onClick={() => setNextShooterChoice(player.id)}
+                    disabled={!hasControl}
+                  >
+                    {player.name}
+                    <span className="player-high">{playerHighs[player.id] ?? 0}</span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+          {unsyncedCount > 0 && (
+            <div className="sync-indicator">{unsyncedCount} unsynced</div>
+          )}
+          {hasControl ? (
+            <div className="game-over-buttons">
+              <button className="start-button" onClick={startNextGame}>
+                New Game
+              </button>
+              <button className="end-session-button" onClick={endSession}>
+                End Session
+              </button>
+              {urlSessionId && (
+                <button className="history-button" onClick={copyWatchLink}>
+                  {watchLinkCopied ? 'Link Copied' : 'Copy Watch Link'}
+                </button>
+              )}
+            </div>
+          ) : controlNotice}
           <VoiceButton {...voiceButtonProps} />
         </div>
       </div>
@@ -865,118 +1013,102 @@ function GameSession() {
   // Active gameplay - mode class on app for background color shift
   return (
     <div className={`app gameplay mode-${mode}`}>
-      <div className="scoreboard">
-        {/* Timer row */}
-        <div className={`timer-row ${paused ? 'paused' : ''}`}>
-          <span className="timer-value">{formatTime(timeRemaining)}</span>
-        </div>
-
-        {/* Paused overlay */}
-        {paused && (
-          <div className="paused-indicator">PAUSED</div>
+      {rejectedNotice}
+      <Scoreboard
+        timeRemaining={timeRemaining}
+        paused={paused}
+        mode={mode}
+        score={score}
+        multiplier={multiplier}
+        multiplierShotsRemaining={multiplierShotsRemaining}
+        misses={misses}
+        freebiesRemaining={freebiesRemaining}
+        initialMisses={rules.initialMisses}
+        sessionHighScore={sessionHighScore}
+        shooter={shooter}
+      >
+        {unsyncedCount > 0 && (
+          <span className="sync-indicator">{unsyncedCount} unsynced</span>
         )}
+      </Scoreboard>
 
-        {/* Mode indicator - large and prominent */}
-        <div className={`mode-banner ${mode}`}>
-          {mode === 'multiplier' ? 'MULTIPLIER MODE' : 'POINT MODE'}
-        </div>
-
-        {/* Main score display */}
-        <div className="main-score">
-          <span className="score">{score}</span>
-        </div>
+      {/* Controls - fixed at bottom */}
+      {!hasControl ? (
+        <div className="controls-bar">{controlNotice}</div>
+      ) : (
+        <div className="controls-bar">
+          {/* Mode switch prompt when available */}
+          {mode === 'point' && canEnterMultiplierMode && (
+            <button className="mode-switch-btn" onClick={trackedEnterMultiplierMode}>
+              ✨ MULTIPLIER MODE
+            </button>
+          )}
 
-        {/* Key stats - centered */}
-        <div className="key-stats">
-          {/* Multiplier */}
-          <div className="key-stat multiplier-stat">
-            <span className="key-stat-value">{multiplier}x</span>
-            <span className="key-stat-label">multiplier</span>
+          {/* Main action buttons */}
+          <div className="action-row">
+            <button className="action-btn make-btn" onClick={trackedMakeShot}>
+              MAKE
+            </button>
+            <button className="action-btn miss-btn" onClick={trackedMissShot}>
+              MISS
+            </button>
           </div>
 
-          {/* Lives - shows number when >3, dots otherwise */}
-          <div className="key-stat lives-stat">
-            {misses > 3 ? (
-              <span className="lives-number">{misses}</span>
-            ) : (
-              <div className="lives-visual">
-                {[...Array(3)].map((_, i) => (
-                  <span
-                    key={i}
-                    className={`life-dot ${i < misses ? 'active' : 'used'}`}
-                  >
-                    ●
-                  </span>
-                ))}
-              </div>
+          {/* Secondary controls row */}
+          <div className="secondary-row">
+            {mode === 'multiplier' && (
+              <button className="secondary-btn mode-btn" onClick={trackedEnterPointMode}>
+                → POINTS
+              </button>
             )}
-            <span className="key-stat-label">lives</span>
-          </div>
-        </div>
-
-        {/* Bonus indicators */}
-        {(multiplierShotsRemaining > 0 || freebiesRemaining > 0) && (
-          <div className="bonus-row">
-            {mode === 'point' && multiplierShotsRemaining > 0 && (
-              <div className="bonus-item multiplier-shots-bonus">
-                <span className="bonus-value">{multiplierShotsRemaining}</span>
-                <span className="bonus-label">{multiplier}x shots left</span>
-              </div>
+            {mode === 'point' && canEnterMultiplierMode && (
+              <button className="secondary-btn mode-btn" onClick={trackedContinueInPointMode}>
+                STAY IN POINTS
+              </button>
             )}
-            {freebiesRemaining > 0 && (
-              <div className="bonus-item freebies-bonus">
-                <span className="bonus-value">{freebiesRemaining}</span>
-                <span className="bonus-label">freebies</span>
-              </div>
+            <button className="secondary-btn pause-btn" onClick={togglePause}>
+              {paused ? '▶ RESUME' : '⏸ PAUSE'}
+            </button>
+            <button
+              className={`secondary-btn undo-btn ${canUndo ? '' : 'disabled'}`}
+              onClick={undoWithSound}
+              disabled={!canUndo}
+            >
+              ↩ UNDO
+            </button>
+            <button
+              className={`secondary-btn redo-btn ${canRedo ? '' : 'disabled'}`}
+              onClick={redoWithSound}
+              disabled={!canRedo}
+            >
+              ↪ REDO
+            </button>
+            {urlSessionId && (
+              <button className="secondary-btn pair-btn" onClick={showPairingCode}>
+                📱 PAIR
+              </button>
             )}
+            <VoiceButton {...voiceButtonProps} compact />
           </div>
-        )}
-
-        {/* Session high - subtle */}
-        <div className="session-high-inline">
-          High: {sessionHighScore}
         </div>
-      </div>
-
-      {/* Controls - fixed at bottom */}
-      <div className="controls-bar">
-        {/* Mode switch prompt when available */}
-        {mode === 'point' && canEnterMultiplierMode && (
-          <button className="mode-switch-btn" onClick={enterMultiplierMode}>
-            ✨ MULTIPLIER MODE
-          </button>
-        )}
-
-        {/* Main action buttons */}
-        <div className="action-row">
-          <button className="action-btn make-btn" onClick={makeShot}>
-            MAKE
-          </button>
-          <button className="action-btn miss-btn" onClick={trackedMissShot}>
-            MISS
-          </button>
-        </div>
-
-        {/* Secondary controls row */}
-        <div className="secondary-row">
-          {mode === 'multiplier' && (
-            <button className="secondary-btn mode-btn" onClick={enterPointMode}>
-              → POINTS
-            </button>
-          )}
-          <button className="secondary-btn pause-btn" onClick={togglePause}>
-            {paused ? '▶ RESUME' : '⏸ PAUSE'}
-          </button>
-          <button
-            className={`secondary-btn undo-btn ${canUndo ? '' : 'disabled'}`}
-            onClick={undoWithSound}
-            disabled={!canUndo}
-          >
-            ↩ UNDO
-          </button>
-          <VoiceButton {...voiceButtonProps} compact />
+      )}
+
+      {/* Pairing code for a phone remote */}
+      {pairing && (
+        <div className="pairing-overlay" onClick={() => setPairing(null)}>
+          <div className="pairing-card">
+            <span className="label">Remote Pairing Code</span>
+            {pairing.code ? (
+              <>
+                <span className="pairing-code">{pairing.code}</span>
+                <span className="pairing-hint">Open {window.location.origin}/remote on your phone</span>
+              </>
+            ) : (
+              <span className="pairing-hint">{pairing.error || 'Getting a code...'}</span>
+            )}
+          </div>
         </div>
-      </div>
+      )}
     </div>
   )
 }
@@ -987,7 +1119,16 @@ function App() {
     <Routes>
       <Route path="/" element={<GameSession />} />
       <Route path="/session/:sessionId" element={<GameSession />} />
+      <Route path="/session/:sessionId/watch" element={<Spectator />} />
+      <Route path="/session/:sessionId/remote" element={<Remote />} />
+      <Route path="/remote" element={<PairRemote />} />
       <Route path="/history" element={<History />} />
+      <Route path="/history/:sessionId" element={<SessionDetail />} />
+      <Route path="/history/:sessionId/replay/:gameId" element={<GameReplay />} />
+      <Route path="/players/:playerId" element={<PlayerProfile />} />
+      <Route path="/records" element={<Records />} />
+      <Route path="/efficiency" element={<Efficiency />} />
+      <Route path="/trends" element={<Trends />} />
     </Routes>
   )
 }
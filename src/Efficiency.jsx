@@ -0,0 +1,141 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Link } from 'react-router-dom'
+import { getPercentage } from './shotStats'
+import { usePlayers } from './usePlayers'
+import './History.css'
+
+// One line of a breakdown - makes out of attempts, with a bar for the make percentage
+function EfficiencyRow({ label, makes, attempts }) {
+  const percentage = getPercentage(makes, attempts)
+  return (
+    <div className="efficiency-row">
+      <span className="efficiency-label">{label}</span>
+      <div className="efficiency-bar">
+        <div className="efficiency-fill" style={{ width: `${percentage ?? 0}%` }} />
+      </div>
+      <span className="efficiency-value">{percentage === null ? '–' : `${percentage}%`}</span>
+      <span className="efficiency-count">{makes}/{attempts}</span>
+    </div>
+  )
+}
+
+// Make percentages split every way the event log allows, for everyone or one shooter
+function Efficiency() {
+  const { players } = usePlayers()
+  const [playerId, setPlayerId] = useState('')
+  const [stats, setStats] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const fetchEfficiency = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const query = playerId ? `?playerId=${playerId}` : ''
+      const response = await fetch(`/api/stats/efficiency${query}`)
+      const data = await response.json()
+      if (data.error) {
+        throw new Error(data.error)
+      }
+      setStats(data.efficiency)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [playerId])
+
+  useEffect(() => {
+    fetchEfficiency()
+  }, [fetchEfficiency])
+
+  const multiplierLevels = stats
+    ? Object.keys(stats.byMultiplier).map(Number).sort((a, b) => a - b)
+    : []
+  const pointModeMisses = stats ? stats.pointMode.attempts - stats.pointMode.makes : 0
+  const freebieSaveRate = stats && getPercentage(stats.freebiesUsed, pointModeMisses)
+
+  return (
+    <div className="history-page">
+      <div className="history-container">
+        <div className="history-header">
+          <Link to="/history" className="back-link">← History</Link>
+          <h1>Shooting Efficiency</h1>
+          {players.length > 0 && (
+            <select
+              className="efficiency-filter"
+              value={playerId}
+              onChange={(e) => setPlayerId(e.target.value)}
+            >
+              <option value="">Everyone</option>
+              {players.map(player => (
+                <option key={player.id} value={player.id}>{player.name}</option>
+              ))}
+            </select>
+          )}
+        </div>
+
+        {loading && (
+          <div className="history-loading">Loading...</div>
+        )}
+
+        {error && (
+          <div className="history-error">{error}</div>
+        )}
+
+        {!loading && !error && stats && stats.totalShots === 0 && (
+          <div className="history-empty">No shots recorded yet.</div>
+        )}
+
+        {!loading && !error && stats && stats.totalShots > 0 && (
+          <>
+            <div className="efficiency-section">
+              <h2>By Mode</h2>
+              <EfficiencyRow label="Multiplier" {...stats.multiplierMode} />
+              <EfficiencyRow label="Point" {...stats.pointMode} />
+            </div>
+
+            <div className="efficiency-section">
+              <h2>By Multiplier Level</h2>
+              {multiplierLevels.map(level => (
+                <EfficiencyRow key={level} label={`${level}x`} {...stats.byMultiplier[level]} />
+              ))}
+            </div>
+
+            <div className="efficiency-section">
+              <h2>Tip-ins</h2>
+              <EfficiencyRow label="Tip-in" {...stats.tipIns} />
+              <EfficiencyRow
+                label="Regular"
+                makes={stats.multiplierMode.makes + stats.pointMode.makes - stats.tipIns.makes}
+                attempts={stats.totalShots - stats.tipIns.attempts}
+              />
+            </div>
+
+            <div className="efficiency-section">
+              <h2>Point Mode</h2>
+              <div className="session-stats">
+                <span className="stat">
+                  <span className="stat-value">
+                    {stats.pointMode.attempts > 0 ? (stats.pointModePoints / stats.pointMode.attempts).toFixed(2) : '–'}
+                  </span>
+                  <span className="stat-label">pts per shot</span>
+                </span>
+                <span className="stat">
+                  <span className="stat-value">{stats.freebiesUsed}</span>
+                  <span className="stat-label">lives saved by freebies</span>
+                </span>
+                <span className="stat">
+                  <span className="stat-value">{freebieSaveRate === null ? '–' : `${freebieSaveRate}%`}</span>
+                  <span className="stat-label">of misses saved</span>
+                </span>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Efficiency
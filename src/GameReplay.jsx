@@ -0,0 +1,222 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { getSessionRules } from './gameRules'
+import { REPLAY_SPEEDS, buildReplay, getFrameIndex, getReplayState } from './replay'
+import { getPlayerName } from './players'
+import { useAudioFeedback } from './useAudioFeedback'
+import { formatTime } from './formatTime'
+import Scoreboard from './Scoreboard'
+import './App.css'
+
+// How often playback moves forward while playing
+const TICK_MS = 100
+
+// Plays a finished game back on the scoreboard, from its event log
+function GameReplay() {
+  const { sessionId, gameId } = useParams()
+  const [sessionData, setSessionData] = useState(null)
+  const [gameEvents, setGameEvents] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  // Playback - position is ms of session clock since the game started
+  const [position, setPosition] = useState(0)
+  const [playing, setPlaying] = useState(false)
+  const [speed, setSpeed] = useState(REPLAY_SPEEDS[0])
+  const positionRef = useRef(0)
+
+  const {
+    playMake,
+    playMiss,
+    playPointMode,
+    playMultiplierMode,
+    playPassedTen,
+    playUndo,
+    playRedo,
+    playGameOver,
+  } = useAudioFeedback()
+
+  const fetchReplay = useCallback(async () => {
+    try {
+      setLoading(true)
+      const [sessionResponse, gameResponse] = await Promise.all([
+        fetch(`/api/session?id=${sessionId}`),
+        fetch(`/api/game?id=${gameId}`),
+      ])
+      const [sessionJson, gameJson] = await Promise.all([sessionResponse.json(), gameResponse.json()])
+      if (sessionJson.error || gameJson.error) {
+        throw new Error(sessionJson.error || gameJson.error)
+      }
+      setSessionData(sessionJson)
+      setGameEvents(gameJson)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [sessionId, gameId])
+
+  useEffect(() => {
+    fetchReplay()
+  }, [fetchReplay])
+
+  const session = sessionData?.session
+  const game = gameEvents?.game
+  const rules = useMemo(() => session && getSessionRules(session), [session])
+  const replay = useMemo(() => (
+    session && game
+      ? buildReplay(session, sessionData.pauseIntervals ?? [], game, gameEvents.events)
+      : null
+  ), [session, sessionData, game, gameEvents])
+
+  // The same sounds the scoreboard makes, for the event just played
+  const playEventSound = useCallback((event, previousEvent) => {
+    switch (event.eventType) {
+      case 'make':
+        playMake()
+        break
+      case 'miss':
+        playMiss()
+        break
+      case 'final_shot':
+        if (event.pointsEarned > 0) playMake()
+        else playMiss()
+        break
+      case 'mode_change':
+        if (event.newMode === 'point') playPointMode()
+        else playMultiplierMode()
+        break
+      case 'undo':
+        playUndo()
+        break
+      case 'redo':
+        playRedo()
+        break
+    }
+
+    // Passing a 10 refills the freebies
+    if (event.freebiesRemaining === rules.freebiesAfterTen && (previousEvent?.freebiesRemaining ?? 0) < rules.freebiesAfterTen) {
+      playPassedTen()
+    }
+  }, [rules, playMake, playMiss, playPointMode, playMultiplierMode, playPassedTen, playUndo, playRedo])
+
+  // Move forward while playing - sounds only play for events reached this way, not by scrubbing
+  useEffect(() => {
+    if (!playing || !replay) return
+
+    let lastTick = Date.now()
+    const interval = setInterval(() => {
+      const now = Date.now()
+      const next = Math.min(replay.duration, positionRef.current + (now - lastTick) * speed)
+      lastTick = now
+
+      const previousIndex = getFrameIndex(replay.frames, positionRef.current)
+      const index = getFrameIndex(replay.frames, next)
+      if (index > previousIndex) {
+        // At high speed several events can pass in one tick - only the latest is heard
+        playEventSound(replay.frames[index].event, replay.frames[index - 1]?.event)
+      }
+
+      positionRef.current = next
+      setPosition(next)
+      if (next >= replay.duration) {
+        setPlaying(false)
+        playGameOver()
+      }
+    }, TICK_MS)
+
+    return () => clearInterval(interval)
+  }, [playing, speed, replay, playEventSound, playGameOver])
+
+  const seek = (nextPosition) => {
+    positionRef.current = nextPosition
+    setPosition(nextPosition)
+  }
+
+  const togglePlaying = () => {
+    // Playing from the end starts again from the beginning
+    if (!playing && position >= replay.duration) {
+      seek(0)
+    }
+    setPlaying(!playing)
+  }
+
+  if (loading || error || !replay) {
+    return (
+      <div className="app">
+        <div className="pre-session">
+          <h1>{loading ? 'Loading...' : 'Replay Unavailable'}</h1>
+          {error && <p className="voice-hint">{error}</p>}
+          <Link to={`/history/${sessionId}`} className="history-button">Back to Session</Link>
+        </div>
+      </div>
+    )
+  }
+
+  const index = getFrameIndex(replay.frames, position)
+  const state = getReplayState(replay.frames, index, rules)
+  const durationMs = rules.sessionDurationSeconds * 1000
+  const timeRemaining = Math.max(0, Math.floor((durationMs - replay.startElapsedMs - position) / 1000))
+
+  // Highs as they stood at this point - games earlier in the session, plus this one so far
+  const earlierGames = sessionData.games.filter(g => !g.isActive && new Date(g.startedAt) < new Date(game.startedAt))
+  const sessionHighScore = Math.max(state.score, ...earlierGames.map(g => g.finalScore))
+  const players = sessionData.players ?? []
+  const shooter = game.playerId && players.length > 0
+    ? {
+      name: getPlayerName(players, game.playerId),
+      high: Math.max(state.score, ...earlierGames.filter(g => g.playerId === game.playerId).map(g => g.finalScore)),
+    }
+    : null
+
+  return (
+    <div className={`app gameplay replay mode-${state.mode}`}>
+      <Scoreboard
+        timeRemaining={timeRemaining}
+        paused={false}
+        mode={state.mode}
+        score={state.score}
+        multiplier={state.multiplier}
+        multiplierShotsRemaining={state.multiplierShotsRemaining}
+        misses={state.misses}
+        freebiesRemaining={state.freebiesRemaining}
+        initialMisses={rules.initialMisses}
+        sessionHighScore={sessionHighScore}
+        shooter={shooter}
+      />
+
+      <div className="controls-bar replay-controls">
+        <input
+          type="range"
+          className="replay-scrubber"
+          min={0}
+          max={replay.duration}
+          step={TICK_MS}
+          value={position}
+          onChange={(e) => seek(Number(e.target.value))}
+          aria-label="Replay position"
+        />
+        <div className="replay-time">
+          {formatTime(Math.floor(position / 1000))} / {formatTime(Math.floor(replay.duration / 1000))}
+        </div>
+        <div className="secondary-row">
+          <button className="secondary-btn" onClick={togglePlaying}>
+            {playing ? '⏸ Pause' : '▶ Play'}
+          </button>
+          {REPLAY_SPEEDS.map(option => (
+            <button
+              key={option}
+              className={`secondary-btn speed-btn ${speed === option ? 'selected' : ''}`}
+              onClick={() => setSpeed(option)}
+            >
+              {option}x
+            </button>
+          ))}
+          <Link to={`/history/${sessionId}`} className="secondary-btn">Exit</Link>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default GameReplay
@@ -0,0 +1,56 @@
+import { getEffectiveEvents } from './gameRules'
+
+// What happened, in words
+function describeEvent(event) {
+  switch (event.eventType) {
+    case 'make':
+      return { label: 'Make', points: event.pointsEarned }
+    case 'miss':
+      return { label: 'Miss' }
+    case 'final_shot':
+      return event.pointsEarned > 0
+        ? { label: 'Final shot - made', points: event.pointsEarned }
+        : { label: 'Final shot - missed' }
+    case 'mode_change':
+      if (event.previousMode === event.newMode) return { label: 'Stayed in point mode' }
+      return { label: event.newMode === 'point' ? 'Point mode' : 'Multiplier mode' }
+    default:
+      return null
+  }
+}
+
+// A game's events in order (undone shots left out, as they don't count)
+function GameTimeline({ events }) {
+  const timeline = getEffectiveEvents(events)
+    .map(event => ({ event, description: describeEvent(event) }))
+    .filter(({ description }) => description)
+
+  if (timeline.length === 0) {
+    return <div className="timeline-empty">No shots recorded</div>
+  }
+
+  return (
+    <ol className="game-timeline">
+      {timeline.map(({ event, description }) => {
+        const isShot = event.eventType !== 'mode_change'
+        return (
+          <li key={event.id} className={`timeline-event ${event.eventType}`}>
+            <span className="timeline-label">{description.label}</span>
+            {description.points > 0 && (
+              <span className="timeline-points">+{description.points}</span>
+            )}
+            {event.usedFreebie && <span className="timeline-badge freebie">Freebie</span>}
+            {event.isTipIn && <span className="timeline-badge tip-in">Tip-in</span>}
+            {isShot && (
+              <span className="timeline-state">
+                {event.score} pts · {event.missesRemaining} {event.missesRemaining === 1 ? 'life' : 'lives'}
+              </span>
+            )}
+          </li>
+        )
+      })}
+    </ol>
+  )
+}
+
+export default GameTimeline
@@ -1,6 +1,8 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useRef } from 'react'
 import { Link } from 'react-router-dom'
-import { Trash2 } from 'lucide-react'
+import { Download, Trash2, Upload } from 'lucide-react'
+import { getRuleSetLabel } from './gameRules'
+import { isTimerExpired } from './sessionClock'
 import './History.css'
 
 function formatDate(dateString) {
@@ -14,57 +16,150 @@ function formatDate(dateString) {
   })
 }
 
+// Uses the pause summary on the session row - the list doesn't load pause intervals
 function isSessionInProgress(session) {
-  // If endedAt is set, session is definitely ended
-  if (session.endedAt) {
-    return false
-  }
+  return !session.endedAt && !isTimerExpired(session)
+}
 
-  // Calculate elapsed time to see if session would still be active
-  const now = Date.now()
-  const startedAtMs = new Date(session.startedAt).getTime()
-  const durationMs = (session.durationSeconds || 600) * 1000
-  const totalPausedMs = session.totalPausedMs || 0
-
-  let elapsedMs
-  if (session.isPaused && session.pausedAt) {
-    // If paused, calculate elapsed up to pause time
-    elapsedMs = new Date(session.pausedAt).getTime() - startedAtMs - totalPausedMs
-  } else {
-    // If running, calculate elapsed up to now
-    elapsedMs = now - startedAtMs - totalPausedMs
-  }
+// Most sessions /api/export takes at once
+const MAX_EXPORT_SESSIONS = 100
+
+// Filters as the date inputs hold them - turned into API params by getListParams
+const DEFAULT_FILTERS = { sort: 'recent', from: '', to: '', minScore: '' }
 
-  // Session is in progress if elapsed time is less than duration
-  return elapsedMs < durationMs
+const SORT_OPTIONS = [
+  { value: 'recent', label: 'Most recent' },
+  { value: 'highScore', label: 'High score' },
+  { value: 'totalPoints', label: 'Total points' },
+]
+
+// API params for the filters - dates are local days, and `to` includes the whole day
+function getListParams(filters, cursor) {
+  const params = new URLSearchParams({ sort: filters.sort })
+  if (filters.from) {
+    const [year, month, day] = filters.from.split('-').map(Number)
+    params.set('from', new Date(year, month - 1, day).toISOString())
+  }
+  if (filters.to) {
+    const [year, month, day] = filters.to.split('-').map(Number)
+    params.set('to', new Date(year, month - 1, day + 1).toISOString())
+  }
+  if (filters.minScore !== '') params.set('minScore', filters.minScore)
+  if (cursor) params.set('cursor', cursor)
+  return params
 }
 
 function History() {
   const [sessions, setSessions] = useState([])
+  const [nextCursor, setNextCursor] = useState(null)
+  const [filters, setFilters] = useState(DEFAULT_FILTERS)
   const [loading, setLoading] = useState(true)
+  const [loadingMore, setLoadingMore] = useState(false)
   const [error, setError] = useState(null)
   const [deleting, setDeleting] = useState(null)
   const [confirmDelete, setConfirmDelete] = useState(null)
+  // Sessions picked for export (null when not picking)
+  const [selectedIds, setSelectedIds] = useState(null)
+  const [importing, setImporting] = useState(false)
+
+  // Pages for filters that have since changed are dropped when they arrive
+  const filtersRef = useRef(filters)
+  const loadMoreRef = useRef(null)
+  const importInputRef = useRef(null)
 
   const fetchSessions = useCallback(async () => {
     try {
       setLoading(true)
-      const response = await fetch('/api/session')
+      setError(null)
+      const response = await fetch(`/api/session?${getListParams(filters)}`)
       const data = await response.json()
       if (data.error) {
         throw new Error(data.error)
       }
+      if (filtersRef.current !== filters) return
       setSessions(data.sessions || [])
+      setNextCursor(data.nextCursor ?? null)
     } catch (err) {
-      setError(err.message)
+      if (filtersRef.current === filters) setError(err.message)
     } finally {
-      setLoading(false)
+      if (filtersRef.current === filters) setLoading(false)
     }
-  }, [])
+  }, [filters])
 
   useEffect(() => {
+    filtersRef.current = filters
     fetchSessions()
-  }, [fetchSessions])
+  }, [filters, fetchSessions])
+
+  const fetchMoreSessions = useCallback(async () => {
+    if (!nextCursor || loadingMore) return
+
+    try {
+      setLoadingMore(true)
+      const response = await fetch(`/api/session?${getListParams(filters, nextCursor)}`)
+      const data = await response.json()
+      if (data.error) {
+        throw new Error(data.error)
+      }
+      if (filtersRef.current !== filters) return
+      setSessions(prev => [...prev, ...(data.sessions || [])])
+      setNextCursor(data.nextCursor ?? null)
+    } catch (err) {
+      if (filtersRef.current === filters) setError(err.message)
+    } finally {
+      setLoadingMore(false)
+    }
+  }, [filters, nextCursor, loadingMore])
+
+  // Load the next page as the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current
+    if (!sentinel || !nextCursor) return
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) fetchMoreSessions()
+    }, { rootMargin: '200px' })
+    observer.observe(sentinel)
+    return () => observer.disconnect()
+  }, [nextCursor, fetchMoreSessions])
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }))
+  }
+
+  const toggleSelected = (sessionId) => {
+    setSelectedIds(prev => {
+      if (prev.includes(sessionId)) return prev.filter(id => id !== sessionId)
+      return prev.length < MAX_EXPORT_SESSIONS ? [...prev, sessionId] : prev
+    })
+  }
+
+  const getExportUrl = (format) => `/api/export?format=${format}&ids=${selectedIds.join(',')}`
+
+  // Send a JSON export to be imported, then reload the list so the new sessions show up
+  const handleImport = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      setImporting(true)
+      const response = await fetch('/api/import', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: await file.text(),
+      })
+      const data = await response.json()
+      if (data.error) {
+        throw new Error(data.error)
+      }
+      await fetchSessions()
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setImporting(false)
+    }
+  }
 
   const handleDelete = async (sessionId) => {
     if (confirmDelete !== sessionId) {
@@ -101,6 +196,81 @@ function History() {
         <div className="history-header">
           <Link to="/" className="back-link">← Back</Link>
           <h1>Session History</h1>
+          <div className="header-links">
+            <Link to="/records" className="header-link">Records →</Link>
+            <Link to="/efficiency" className="header-link">Efficiency →</Link>
+            <Link to="/trends" className="header-link">Trends →</Link>
+          </div>
+        </div>
+
+        <div className="history-filters">
+          <select value={filters.sort} onChange={(e) => updateFilter('sort', e.target.value)} aria-label="Sort by">
+            {SORT_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <input
+            type="date"
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={(e) => updateFilter('from', e.target.value)}
+            aria-label="From"
+          />
+          <input
+            type="date"
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={(e) => updateFilter('to', e.target.value)}
+            aria-label="To"
+          />
+          <input
+            type="number"
+            min={0}
+            value={filters.minScore}
+            onChange={(e) => updateFilter('minScore', e.target.value)}
+            placeholder="Min score"
+            aria-label="Minimum high score"
+          />
+        </div>
+
+        <div className="export-bar">
+          {selectedIds === null ? (
+            <>
+              <button className="export-btn" onClick={() => setSelectedIds([])}>
+                <Download size={14} /> Export
+              </button>
+              <button className="export-btn" onClick={() => importInputRef.current.click()} disabled={importing}>
+                <Upload size={14} /> {importing ? 'Importing...' : 'Import'}
+              </button>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept="application/json,.json"
+                onChange={handleImport}
+                hidden
+              />
+            </>
+          ) : (
+            <>
+              <span className="export-count">{selectedIds.length} selected</span>
+              <button
+                className="export-btn"
+                onClick={() => setSelectedIds(sessions.slice(0, MAX_EXPORT_SESSIONS).map(s => s.id))}
+              >
+                {sessions.length > MAX_EXPORT_SESSIONS ? `Select First ${MAX_EXPORT_SESSIONS}` : 'Select All'}
+              </button>
+              {selectedIds.length > 0 && (
+                <>
+                  <a className="export-btn" href={getExportUrl('json')} download>JSON</a>
+                  <a className="export-btn" href={getExportUrl('csv')} download>CSV (zip)</a>
+                </>
+              )}
+              <button className="export-btn" onClick={() => setSelectedIds(null)}>Cancel</button>
+              {selectedIds.length === MAX_EXPORT_SESSIONS && (
+                <span className="export-count">Up to {MAX_EXPORT_SESSIONS} sessions can be exported at once</span>
+              )}
+            </>
+          )}
         </div>
 
         {loading && (
@@ -112,16 +282,28 @@ function History() {
         )}
 
         {!loading && !error && sessions.length === 0 && (
-          <div className="history-empty">No sessions yet. Start playing!</div>
+          <div className="history-empty">
+            {filters === DEFAULT_FILTERS ? 'No sessions yet. Start playing!' : 'No sessions match these filters.'}
+          </div>
         )}
 
         {!loading && !error && sessions.length > 0 && (
           <div className="history-list">
             {sessions.map(session => (
               <div key={session.id} className="session-card">
-                <div className="session-info">
+                {selectedIds !== null && (
+                  <input
+                    type="checkbox"
+                    className="session-select"
+                    checked={selectedIds.includes(session.id)}
+                    disabled={!selectedIds.includes(session.id) && selectedIds.length >= MAX_EXPORT_SESSIONS}
+                    onChange={() => toggleSelected(session.id)}
+                    aria-label="Select for export"
+                  />
+                )}
+                <Link to={`/history/${session.id}`} className="session-info">
                   <div className="session-date">
-                    {formatDate(session.startedAt)}
+                    {formatDate(session.startedAt)} · {getRuleSetLabel(session.ruleSet)}
                   </div>
                   <div className="session-stats">
                     <span className="stat">
@@ -140,7 +322,7 @@ function History() {
                   {isSessionInProgress(session) && (
                     <div className="session-status">In Progress</div>
                   )}
-                </div>
+                </Link>
                 <div className="session-actions">
                   {confirmDelete === session.id ? (
                     <div className="confirm-delete">
@@ -172,6 +354,11 @@ function History() {
                 </div>
               </div>
             ))}
+            {nextCursor && (
+              <div ref={loadMoreRef} className="history-loading-more">
+                {loadingMore ? 'Loading more...' : ''}
+              </div>
+            )}
           </div>
         )}
       </div>
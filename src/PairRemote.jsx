@@ -0,0 +1,59 @@
+import { useState } from 'react'
+import { useNavigate, Link } from 'react-router-dom'
+import './App.css'
+
+// Enter the code shown on the scoreboard to use this phone as its remote
+function PairRemote() {
+  const navigate = useNavigate()
+  const [code, setCode] = useState('')
+  const [error, setError] = useState(null)
+  const [checking, setChecking] = useState(false)
+
+  const pair = async (e) => {
+    e.preventDefault()
+    const pairingCode = code.trim().toUpperCase()
+    if (!pairingCode) return
+
+    setChecking(true)
+    setError(null)
+    try {
+      const response = await fetch(`/api/pairing?code=${encodeURIComponent(pairingCode)}`)
+      const data = await response.json()
+      if (!response.ok) {
+        setError(data.error || 'Failed to pair')
+        return
+      }
+      navigate(`/session/${data.sessionId}/remote?code=${pairingCode}`)
+    } catch (err) {
+      console.error('Failed to look up pairing code:', err)
+      setError('Not connected - try again in a moment')
+    } finally {
+      setChecking(false)
+    }
+  }
+
+  return (
+    <div className="app">
+      <form className="pre-session" onSubmit={pair}>
+        <h1>Pair Remote</h1>
+        <p className="voice-hint">Enter the code from the scoreboard's 📱 PAIR button</p>
+        <input
+          className="pairing-input"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          maxLength={6}
+          autoCapitalize="characters"
+          autoComplete="off"
+          autoFocus
+        />
+        {error && <p className="remote-error">{error}</p>}
+        <button type="submit" className="start-button" disabled={checking}>
+          {checking ? 'Pairing...' : 'Pair'}
+        </button>
+        <Link to="/" className="history-button">Go Home</Link>
+      </form>
+    </div>
+  )
+}
+
+export default PairRemote
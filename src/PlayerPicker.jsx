@@ -0,0 +1,62 @@
+import { useState } from 'react'
+
+// Pre-session player picker - players shoot in the order they're picked
+function PlayerPicker({ players, selectedIds, onSelectedIdsChange, rotate, onRotateChange, onAddPlayer, error }) {
+  const [newName, setNewName] = useState('')
+
+  const togglePlayer = (playerId) => {
+    onSelectedIdsChange(selectedIds.includes(playerId)
+      ? selectedIds.filter(id => id !== playerId)
+      : [...selectedIds, playerId])
+  }
+
+  const addPlayer = async (e) => {
+    e.preventDefault()
+    const name = newName.trim()
+    if (!name) return
+
+    const player = await onAddPlayer(name)
+    if (player) {
+      setNewName('')
+      onSelectedIdsChange([...selectedIds, player.id])
+    }
+  }
+
+  return (
+    <div className="player-picker">
+      <div className="player-options">
+        {players.map(player => {
+          const turn = selectedIds.indexOf(player.id)
+          return (
+            <button
+              key={player.id}
+              className={`player-option ${turn >= 0 ? 'selected' : ''}`}
+              onClick={() => togglePlayer(player.id)}
+            >
+              {turn >= 0 && <span className="player-turn">{turn + 1}</span>}
+              {player.name}
+            </button>
+          )
+        })}
+      </div>
+      <form className="add-player" onSubmit={addPlayer}>
+        <input
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="Add a player"
+          maxLength={30}
+        />
+        <button type="submit" disabled={!newName.trim()}>Add</button>
+      </form>
+      {selectedIds.length > 1 && (
+        <label className="rotate-toggle">
+          <input type="checkbox" checked={rotate} onChange={(e) => onRotateChange(e.target.checked)} />
+          Next player after each game
+        </label>
+      )}
+      {error && <p className="control-error">{error}</p>}
+    </div>
+  )
+}
+
+export default PlayerPicker
@@ -0,0 +1,86 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { getPercentage } from './shotStats'
+import './History.css'
+
+function formatPercentage(part, whole) {
+  const percentage = getPercentage(part, whole)
+  return percentage === null ? '–' : `${percentage}%`
+}
+
+// A shooter's lifetime stats across every game they've finished
+function PlayerProfile() {
+  const { playerId } = useParams()
+  const [profile, setProfile] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const fetchProfile = useCallback(async () => {
+    try {
+      setLoading(true)
+      const response = await fetch(`/api/player/stats?id=${playerId}`)
+      const data = await response.json()
+      if (data.error) {
+        throw new Error(data.error)
+      }
+      setProfile(data)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [playerId])
+
+  useEffect(() => {
+    fetchProfile()
+  }, [fetchProfile])
+
+  const stats = profile?.stats
+  const statItems = stats && [
+    { label: 'games', value: stats.gamesPlayed },
+    { label: 'best score', value: stats.bestScore },
+    { label: 'avg score', value: stats.averageScore },
+    { label: 'highest multiplier', value: `${stats.highestMultiplier}x` },
+    { label: 'multiplier mode made', value: formatPercentage(stats.multiplierMode.makes, stats.multiplierMode.attempts) },
+    { label: 'point mode made', value: formatPercentage(stats.pointMode.makes, stats.pointMode.attempts) },
+    { label: 'tip-in rate', value: formatPercentage(stats.tipIns.attempts, stats.totalShots) },
+    { label: 'tip-ins made', value: formatPercentage(stats.tipIns.makes, stats.tipIns.attempts) },
+    { label: 'freebies used', value: stats.freebiesUsed },
+  ]
+
+  return (
+    <div className="history-page">
+      <div className="history-container">
+        <div className="history-header">
+          <Link to="/history" className="back-link">← History</Link>
+          <h1>{profile ? profile.player.name : 'Player'}</h1>
+        </div>
+
+        {loading && (
+          <div className="history-loading">Loading...</div>
+        )}
+
+        {error && (
+          <div className="history-error">{error}</div>
+        )}
+
+        {!loading && !error && stats && stats.gamesPlayed === 0 && (
+          <div className="history-empty">No finished games yet.</div>
+        )}
+
+        {!loading && !error && stats && stats.gamesPlayed > 0 && (
+          <div className="profile-stats">
+            {statItems.map(item => (
+              <div key={item.label} className="profile-stat">
+                <span className="stat-value">{item.value}</span>
+                <span className="stat-label">{item.label}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default PlayerProfile
@@ -0,0 +1,101 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Link } from 'react-router-dom'
+import { formatTime } from './formatTime'
+import './History.css'
+
+// The records shown, in order, with how each value reads
+const RECORDS = [
+  { key: 'bestGameScore', label: 'Best Game', format: value => `${value} pts` },
+  { key: 'bestSessionTotal', label: 'Best Session Total', format: value => `${value} pts` },
+  { key: 'highestMultiplier', label: 'Highest Multiplier', format: value => `${value}x` },
+  { key: 'longestMakeStreak', label: 'Longest Make Streak', format: value => `${value} in a row` },
+  { key: 'mostLives', label: 'Most Lives Held', format: value => `${value} lives` },
+  { key: 'fastestTo50', label: 'Fastest to 50', format: value => formatTime(value) },
+]
+
+function formatDate(dateString) {
+  return new Date(dateString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+  })
+}
+
+// All-time records, each linking to where it was set
+function Records() {
+  const [records, setRecords] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const fetchRecords = useCallback(async () => {
+    try {
+      setLoading(true)
+      const response = await fetch('/api/stats/records')
+      const data = await response.json()
+      if (data.error) {
+        throw new Error(data.error)
+      }
+      setRecords(data.records)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [])
+
+  useEffect(() => {
+    fetchRecords()
+  }, [fetchRecords])
+
+  return (
+    <div className="history-page">
+      <div className="history-container">
+        <div className="history-header">
+          <Link to="/history" className="back-link">← History</Link>
+          <h1>Records</h1>
+        </div>
+
+        {loading && (
+          <div className="history-loading">Loading...</div>
+        )}
+
+        {error && (
+          <div className="history-error">{error}</div>
+        )}
+
+        {!loading && !error && records && (
+          <div className="history-list">
+            {RECORDS.map(({ key, label, format }) => {
+              const record = records[key]
+              return (
+                <div key={key} className="record-card">
+                  <div className="record-label">{label}</div>
+                  {record ? (
+                    <>
+                      <div className="record-value">{format(record.value)}</div>
+                      <div className="record-where">
+                        {record.playerName && (
+                          <Link to={`/players/${record.playerId}`}>{record.playerName}</Link>
+                        )}
+                        <Link to={`/history/${record.sessionId}`}>{formatDate(record.at)}</Link>
+                        {record.gameId && (
+                          <Link to={`/history/${record.sessionId}/replay/${record.gameId}`}>
+                            Game #{record.gameNumber}
+                          </Link>
+                        )}
+                      </div>
+                    </>
+                  ) : (
+                    <div className="record-empty">Not set yet</div>
+                  )}
+                </div>
+              )
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Records
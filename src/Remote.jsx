@@ -0,0 +1,120 @@
+import { useState, useCallback } from 'react'
+import { useParams, useSearchParams, Link } from 'react-router-dom'
+import { useServerState, serverStateToGameState } from './useServerState'
+import { replayEvents } from './gameRules'
+import { formatTime } from './formatTime'
+import './App.css'
+
+// Phone remote for a session on another screen
+// Buttons send commands to the scoreboard, which applies them like voice commands -
+// the state shown here is the server's, so it trails the scoreboard by a moment
+function Remote() {
+  const { sessionId } = useParams()
+  const [searchParams] = useSearchParams()
+  const pairingCode = searchParams.get('code')
+  const { loading, error, serverState } = useServerState(sessionId)
+  const [commandError, setCommandError] = useState(null)
+
+  const sendCommand = useCallback(async (action) => {
+    try {
+      const response = await fetch('/api/remote/command', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: crypto.randomUUID(), sessionId, pairingCode, action }),
+      })
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}))
+        setCommandError(data.error || 'Command failed')
+        return
+      }
+      setCommandError(null)
+    } catch (err) {
+      console.error('Failed to send remote command:', err)
+      setCommandError('Not connected - try again in a moment')
+    }
+  }, [sessionId, pairingCode])
+
+  const gameData = serverStateToGameState(serverState)
+
+  if (loading || (!serverState && !error)) {
+    return (
+      <div className="app">
+        <div className="pre-session">
+          <h1>Loading...</h1>
+          <p className="voice-hint">Connecting to the scoreboard</p>
+        </div>
+      </div>
+    )
+  }
+
+  if (!gameData || gameData.sessionEnded) {
+    return (
+      <div className="app">
+        <div className="pre-session">
+          <h1>{gameData ? 'Session Over' : 'Session Not Found'}</h1>
+          {error && <p className="voice-hint">{error}</p>}
+          <Link to="/remote" className="history-button">Pair Again</Link>
+        </div>
+      </div>
+    )
+  }
+
+  const { gameIsActive, gameEvents, isPaused, rules } = gameData
+  const game = gameIsActive && gameEvents.length > 0
+    ? replayEvents(gameEvents, rules).state
+    : null
+  const mode = game?.mode ?? 'multiplier'
+
+  return (
+    <div className={`app gameplay mode-${mode}`}>
+      <div className="remote">
+        <div className="remote-status">
+          <span>{formatTime(gameData.timeRemaining)}{isPaused ? ' · Paused' : ''}</span>
+          <span className="remote-score">{gameIsActive ? game?.score ?? 0 : '—'}</span>
+          <span>{gameIsActive ? `${mode === 'multiplier' ? 'Multiplier' : 'Points'} mode` : 'Between games'}</span>
+        </div>
+
+        <div className="action-row">
+          <button className="action-btn make-btn" onClick={() => sendCommand('make')} disabled={!gameIsActive}>
+            MAKE
+          </button>
+          <button className="action-btn miss-btn" onClick={() => sendCommand('miss')} disabled={!gameIsActive}>
+            MISS
+          </button>
+        </div>
+
+        <div className="secondary-row">
+          <button className="secondary-btn" onClick={() => sendCommand('tip_make')} disabled={!gameIsActive}>
+            TIP MAKE
+          </button>
+          <button className="secondary-btn" onClick={() => sendCommand('tip_miss')} disabled={!gameIsActive}>
+            TIP MISS
+          </button>
+          {mode === 'multiplier' ? (
+            <button className="secondary-btn mode-btn" onClick={() => sendCommand('enter_point_mode')} disabled={!gameIsActive}>
+              → POINTS
+            </button>
+          ) : (
+            <button
+              className="secondary-btn mode-btn"
+              onClick={() => sendCommand('enter_multiplier_mode')}
+              disabled={!gameIsActive || !game?.canEnterMultiplierMode}
+            >
+              → MULTIPLIER
+            </button>
+          )}
+          <button className="secondary-btn pause-btn" onClick={() => sendCommand(isPaused ? 'resume' : 'pause')}>
+            {isPaused ? '▶ RESUME' : '⏸ PAUSE'}
+          </button>
+          <button className="secondary-btn undo-btn" onClick={() => sendCommand('undo')} disabled={!gameIsActive}>
+            ↩ UNDO
+          </button>
+        </div>
+
+        {commandError && <p className="remote-error">{commandError}</p>}
+      </div>
+    </div>
+  )
+}
+
+export default Remote
@@ -0,0 +1,161 @@
+import { useState, useEffect } from 'react'
+import { getScoreProgression } from './scoreProgression'
+import { getPlayerName } from './players'
+import { formatTime } from './formatTime'
+import './ScoreChart.css'
+
+const WIDTH = 320
+const HEIGHT = 160
+const PADDING = { top: 10, right: 10, bottom: 22, left: 30 }
+
+const GAME_COLORS = ['#38ef7d', '#667eea', '#f5576c', '#ffd93d', '#4fd1c5', '#f093fb', '#f6ad55', '#a0aec0']
+const MODE_COLORS = { point: '#f5576c', multiplier: '#a78bfa' }
+
+// Score (or multiplier) over each game of a session, all games overlaid or one at a time
+// Mode switches are dashed lines; dots are shots that passed a ten and earned lives
+function ScoreChart({ session, games, players = [], pauseIntervals = [] }) {
+  const [eventsByGame, setEventsByGame] = useState(null)
+  const [error, setError] = useState(null)
+  const [metric, setMetric] = useState('score')
+  const [xAxis, setXAxis] = useState('shot')
+  const [selectedGameId, setSelectedGameId] = useState(null)
+
+  useEffect(() => {
+    let cancelled = false
+    fetch(`/api/game?sessionId=${session.id}`)
+      .then(response => response.json())
+      .then((data) => {
+        if (cancelled) return
+        if (data.error) {
+          setError(data.error)
+          return
+        }
+        const grouped = {}
+        for (const event of data.events) {
+          (grouped[event.gameId] ??= []).push(event)
+        }
+        setEventsByGame(grouped)
+      })
+      .catch((err) => {
+        console.error('Failed to fetch game events:', err)
+        if (!cancelled) setError('Chart unavailable')
+      })
+    return () => {
+      cancelled = true
+    }
+  }, [session.id])
+
+  if (error) {
+    return <div className="score-chart chart-message">{error}</div>
+  }
+  if (!eventsByGame) {
+    return <div className="score-chart chart-message">Loading chart...</div>
+  }
+
+  const series = games
+    .map((game, index) => ({
+      game,
+      number: index + 1,
+      color: GAME_COLORS[index % GAME_COLORS.length],
+      ...getScoreProgression(eventsByGame[game.id] ?? [], session, pauseIntervals),
+    }))
+    .filter(({ points }) => points.length > 1)
+  const shown = series.filter(({ game }) => !selectedGameId || game.id === selectedGameId)
+
+  if (shown.length === 0) {
+    return <div className="score-chart chart-message">No shots to chart</div>
+  }
+
+  const xKey = xAxis === 'shot' ? 'shot' : 'seconds'
+  const xMax = Math.max(1, ...shown.flatMap(({ points }) => points.map(p => p[xKey])))
+  const yMax = Math.max(1, ...shown.flatMap(({ points }) => points.map(p => p[metric])))
+  const plotWidth = WIDTH - PADDING.left - PADDING.right
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom
+  const toX = (value) => PADDING.left + (value / xMax) * plotWidth
+  const toY = (value) => PADDING.top + plotHeight - (value / yMax) * plotHeight
+
+  return (
+    <div className="score-chart">
+      <div className="chart-toggles">
+        <div className="chart-toggle">
+          {['score', 'multiplier'].map(option => (
+            <button key={option} className={metric === option ? 'selected' : ''} onClick={() => setMetric(option)}>
+              {option === 'score' ? 'Score' : 'Multiplier'}
+            </button>
+          ))}
+        </div>
+        <div className="chart-toggle">
+          {['shot', 'time'].map(option => (
+            <button key={option} className={xAxis === option ? 'selected' : ''} onClick={() => setXAxis(option)}>
+              {option === 'shot' ? 'By Shot' : 'By Time'}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="chart-svg" role="img" aria-label={`${metric} by ${xAxis}`}>
+        <line className="chart-axis" x1={PADDING.left} y1={toY(0)} x2={WIDTH - PADDING.right} y2={toY(0)} />
+        <line className="chart-axis" x1={PADDING.left} y1={PADDING.top} x2={PADDING.left} y2={toY(0)} />
+        <text className="chart-label" x={PADDING.left - 4} y={PADDING.top + 4} textAnchor="end">
+          {metric === 'multiplier' ? `${yMax}x` : yMax}
+        </text>
+        <text className="chart-label" x={PADDING.left - 4} y={toY(0)} textAnchor="end">0</text>
+        <text className="chart-label" x={WIDTH - PADDING.right} y={HEIGHT - 6} textAnchor="end">
+          {xAxis === 'shot' ? `${xMax} shots` : formatTime(Math.round(xMax))}
+        </text>
+
+        {shown.map(({ game, modeChanges }) => modeChanges.map((change, i) => (
+          <line
+            key={`${game.id}-mode-${i}`}
+            className="chart-mode-change"
+            stroke={MODE_COLORS[change.mode]}
+            x1={toX(change[xKey])}
+            y1={PADDING.top}
+            x2={toX(change[xKey])}
+            y2={toY(0)}
+          />
+        )))}
+
+        {shown.map(({ game, color, points }) => (
+          <polyline
+            key={game.id}
+            className="chart-line"
+            stroke={color}
+            points={points.map(p => `${toX(p[xKey])},${toY(p[metric])}`).join(' ')}
+          />
+        ))}
+
+        {shown.map(({ game, color, points }) => points
+          .filter(p => p.livesGained > 0)
+          .map(p => (
+            <circle key={`${game.id}-life-${p.shot}`} className="chart-life" cx={toX(p[xKey])} cy={toY(p[metric])} r={3.5} stroke={color} />
+          )))}
+      </svg>
+
+      <div className="chart-legend">
+        {series.length > 1 && (
+          <button className={!selectedGameId ? 'selected' : ''} onClick={() => setSelectedGameId(null)}>
+            All Games
+          </button>
+        )}
+        {series.map(({ game, number, color }) => (
+          <button
+            key={game.id}
+            className={selectedGameId === game.id ? 'selected' : ''}
+            onClick={() => setSelectedGameId(selectedGameId === game.id ? null : game.id)}
+          >
+            <span className="legend-swatch" style={{ background: color }} />
+            #{number}{players.length > 0 && ` ${getPlayerName(players, game.playerId)}`}
+          </button>
+        ))}
+      </div>
+      <div className="chart-key">
+        <span><span className="key-line point" /> point mode</span>
+        <span><span className="key-line multiplier" /> multiplier mode</span>
+        <span><span className="key-dot" /> lives earned</span>
+      </div>
+    </div>
+  )
+}
+
+export default ScoreChart
@@ -0,0 +1,101 @@
+import { formatTime } from './formatTime'
+
+// The scoreboard for a game in progress - shared by the scorekeeper's screen and the spectator view
+// shooter ({ name, high }) is who's shooting, in sessions with named players
+function Scoreboard({
+  timeRemaining,
+  paused,
+  mode,
+  score,
+  multiplier,
+  multiplierShotsRemaining,
+  misses,
+  freebiesRemaining,
+  initialMisses,
+  sessionHighScore,
+  shooter,
+  children,
+}) {
+  return (
+    <div className="scoreboard">
+      {/* Timer row */}
+      <div className={`timer-row ${paused ? 'paused' : ''}`}>
+        <span className="timer-value">{formatTime(timeRemaining)}</span>
+      </div>
+
+      {/* Paused overlay */}
+      {paused && (
+        <div className="paused-indicator">PAUSED</div>
+      )}
+
+      {shooter && (
+        <div className="shooter-banner">🏀 {shooter.name}</div>
+      )}
+
+      {/* Mode indicator - large and prominent */}
+      <div className={`mode-banner ${mode}`}>
+        {mode === 'multiplier' ? 'MULTIPLIER MODE' : 'POINT MODE'}
+      </div>
+
+      {/* Main score display */}
+      <div className="main-score">
+        <span className="score">{score}</span>
+      </div>
+
+      {/* Key stats - centered */}
+      <div className="key-stats">
+        {/* Multiplier */}
+        <div className="key-stat multiplier-stat">
+          <span className="key-stat-value">{multiplier}x</span>
+          <span className="key-stat-label">multiplier</span>
+        </div>
+
+        {/* Lives - shows number when above the starting lives, dots otherwise */}
+        <div className="key-stat lives-stat">
+          {misses > initialMisses ? (
+            <span className="lives-number">{misses}</span>
+          ) : (
+            <div className="lives-visual">
+              {[...Array(initialMisses)].map((_, i) => (
+                <span
+                  key={i}
+                  className={`life-dot ${i < misses ? 'active' : 'used'}`}
+                >
+                  ●
+                </span>
+              ))}
+            </div>
+          )}
+          <span className="key-stat-label">lives</span>
+        </div>
+      </div>
+
+      {/* Bonus indicators */}
+      {(multiplierShotsRemaining > 0 || freebiesRemaining > 0) && (
+        <div className="bonus-row">
+          {mode === 'point' && multiplierShotsRemaining > 0 && (
+            <div className="bonus-item multiplier-shots-bonus">
+              <span className="bonus-value">{multiplierShotsRemaining}</span>
+              <span className="bonus-label">{multiplier}x shots left</span>
+            </div>
+          )}
+          {freebiesRemaining > 0 && (
+            <div className="bonus-item freebies-bonus">
+              <span className="bonus-value">{freebiesRemaining}</span>
+              <span className="bonus-label">freebies</span>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Session high - subtle (children add anything else that belongs on this line) */}
+      <div className="session-high-inline">
+        High: {sessionHighScore}
+        {shooter && <span className="shooter-high">{shooter.name}: {shooter.high}</span>}
+        {children}
+      </div>
+    </div>
+  )
+}
+
+export default Scoreboard
@@ -0,0 +1,169 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Link, useParams } from 'react-router-dom'
+import { getRuleSetLabel } from './gameRules'
+import { getPlayerName } from './players'
+import GameTimeline from './GameTimeline'
+import ScoreChart from './ScoreChart'
+import './History.css'
+
+function formatDate(dateString) {
+  return new Date(dateString).toLocaleDateString('en-US', {
+    weekday: 'long',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+  })
+}
+
+// One session from the history - each game opens up into its event timeline
+function SessionDetail() {
+  const { sessionId } = useParams()
+  const [sessionData, setSessionData] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  // Event logs are fetched the first time a game is opened (keyed by game ID)
+  const [expandedGameId, setExpandedGameId] = useState(null)
+  const [gameEvents, setGameEvents] = useState({})
+  const [eventsError, setEventsError] = useState(null)
+
+  const fetchSession = useCallback(async () => {
+    try {
+      setLoading(true)
+      const response = await fetch(`/api/session?id=${sessionId}`)
+      const data = await response.json()
+      if (data.error) {
+        throw new Error(data.error)
+      }
+      setSessionData(data)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [sessionId])
+
+  useEffect(() => {
+    fetchSession()
+  }, [fetchSession])
+
+  const toggleGame = async (gameId) => {
+    if (expandedGameId === gameId) {
+      setExpandedGameId(null)
+      return
+    }
+
+    setExpandedGameId(gameId)
+    setEventsError(null)
+    if (gameEvents[gameId]) return
+
+    try {
+      const response = await fetch(`/api/game?id=${gameId}`)
+      const data = await response.json()
+      if (data.error) {
+        throw new Error(data.error)
+      }
+      setGameEvents(prev => ({ ...prev, [gameId]: data.events }))
+    } catch (err) {
+      setEventsError(err.message)
+    }
+  }
+
+  const session = sessionData?.session
+  const games = sessionData?.games ?? []
+  const players = sessionData?.players ?? []
+
+  return (
+    <div className="history-page">
+      <div className="history-container">
+        <div className="history-header">
+          <Link to="/history" className="back-link">← History</Link>
+          <h1>Session</h1>
+          {session && (
+            <div className="session-date">
+              {formatDate(session.startedAt)} · {getRuleSetLabel(session.ruleSet)}
+            </div>
+          )}
+        </div>
+
+        {loading && (
+          <div className="history-loading">Loading...</div>
+        )}
+
+        {error && (
+          <div className="history-error">{error}</div>
+        )}
+
+        {!loading && !error && session && (
+          <>
+            <div className="session-stats detail-stats">
+              <span className="stat">
+                <span className="stat-value">{session.highScore}</span>
+                <span className="stat-label">high</span>
+              </span>
+              <span className="stat">
+                <span className="stat-value">{session.totalGames}</span>
+                <span className="stat-label">games</span>
+              </span>
+              <span className="stat">
+                <span className="stat-value">{session.totalPoints}</span>
+                <span className="stat-label">total pts</span>
+              </span>
+            </div>
+
+            {games.length === 0 ? (
+              <div className="history-empty">No games in this session.</div>
+            ) : (
+              <ScoreChart
+                session={session}
+                games={games}
+                players={players}
+                pauseIntervals={sessionData.pauseIntervals}
+              />
+            )}
+
+            <div className="history-list">
+              {games.map((game, index) => (
+                <div key={game.id} className="game-card">
+                  <button
+                    className="game-card-header"
+                    onClick={() => toggleGame(game.id)}
+                    aria-expanded={expandedGameId === game.id}
+                  >
+                    <span className="game-card-number">#{index + 1}</span>
+                    {players.length > 0 && (
+                      <span className="game-card-player">{getPlayerName(players, game.playerId)}</span>
+                    )}
+                    <span className="game-card-score">
+                      {game.isActive ? game.currentScore : game.finalScore} pts
+                    </span>
+                    <span className="game-card-stats">
+                      {game.isActive ? 'In progress' : `${game.highMultiplier}x max · ${game.totalMakes}/${game.totalMakes + game.totalMisses}`}
+                    </span>
+                    <span className="game-card-toggle">{expandedGameId === game.id ? '▾' : '▸'}</span>
+                  </button>
+                  {expandedGameId === game.id && !game.isActive && (
+                    <Link to={`/history/${sessionId}/replay/${game.id}`} className="replay-link">
+                      ▶ Watch Replay
+                    </Link>
+                  )}
+                  {expandedGameId === game.id && (
+                    gameEvents[game.id] ? (
+                      <GameTimeline events={gameEvents[game.id]} />
+                    ) : (
+                      <div className="timeline-empty">{eventsError ?? 'Loading...'}</div>
+                    )
+                  )}
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default SessionDetail
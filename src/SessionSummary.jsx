@@ -0,0 +1,64 @@
+import { Link } from 'react-router-dom'
+import { getRuleSetLabel } from './gameRules'
+import { getPlayerName } from './players'
+import ScoreChart from './ScoreChart'
+
+// Summary of a finished session - children are the actions shown under it
+function SessionSummary({ session, games, players = [], pauseIntervals = [], children }) {
+  return (
+    <div className="pre-session ended-session">
+      <h1>Session Complete</h1>
+      <div className="session-date">
+        {new Date(session.startedAt).toLocaleDateString(undefined, {
+          weekday: 'long',
+          year: 'numeric',
+          month: 'long',
+          day: 'numeric',
+        })}
+        {' · '}{getRuleSetLabel(session.ruleSet)}
+      </div>
+      <div className="session-stats">
+        <div className="stat-item">
+          <span className="stat-value">{session.highScore}</span>
+          <span className="stat-label">High Score</span>
+        </div>
+        <div className="stat-item">
+          <span className="stat-value">{session.totalGames}</span>
+          <span className="stat-label">Games</span>
+        </div>
+        <div className="stat-item">
+          <span className="stat-value">{session.totalPoints}</span>
+          <span className="stat-label">Total Points</span>
+        </div>
+      </div>
+      {games && games.length > 0 && (
+        <ScoreChart session={session} games={games} players={players} pauseIntervals={pauseIntervals} />
+      )}
+      {games && games.length > 0 && (
+        <div className="games-breakdown">
+          <h3>Games</h3>
+          <div className="games-list">
+            {games.map((game, index) => (
+              <div key={game.id} className="game-item">
+                <span className="game-number">#{index + 1}</span>
+                {players.length > 0 && (game.playerId ? (
+                  <Link to={`/players/${game.playerId}`} className="game-player">
+                    {getPlayerName(players, game.playerId)}
+                  </Link>
+                ) : (
+                  <span className="game-player">{getPlayerName(players, game.playerId)}</span>
+                ))}
+                <span className="game-score">{game.finalScore} pts</span>
+                <span className="game-multiplier">{game.highMultiplier}x max</span>
+                <span className="game-stats">{game.totalMakes} makes, {game.totalMisses} misses</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+      {children}
+    </div>
+  )
+}
+
+export default SessionSummary
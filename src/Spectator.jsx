@@ -0,0 +1,144 @@
+import { useState, useEffect } from 'react'
+import { useParams, Link } from 'react-router-dom'
+import { useServerState, serverStateToGameState } from './useServerState'
+import { replayEvents } from './gameRules'
+import { formatTime } from './formatTime'
+import { getPlayerHighs, getPlayerName } from './players'
+import Scoreboard from './Scoreboard'
+import SessionSummary from './SessionSummary'
+import './App.css'
+
+// The game as it stands on the server - replayed from the event log when there is one
+function getDisplayedGame(gameData) {
+  const { gameIsActive, gameEvents, gameState, rules } = gameData
+  if (gameIsActive && gameEvents.length > 0) {
+    return replayEvents(gameEvents, rules).state
+  }
+
+  return {
+    mode: gameState?.mode ?? 'multiplier',
+    score: (gameIsActive ? gameState?.score : gameState?.finalScore) ?? 0,
+    multiplier: gameState?.multiplier ?? 1,
+    multiplierShotsRemaining: gameState?.multiplierShotsRemaining ?? 0,
+    misses: gameState?.misses ?? rules.initialMisses,
+    freebiesRemaining: gameState?.freebiesRemaining ?? 0,
+  }
+}
+
+// Read-only view of a live session for following along on another screen
+// Kept current by the session stream - nothing here writes to the server
+function Spectator() {
+  const { sessionId } = useParams()
+  const { loading, error, serverState } = useServerState(sessionId)
+
+  // Seconds counted down locally since the last update (the server only sends changes)
+  const [elapsedSeconds, setElapsedSeconds] = useState(0)
+  const [countedFrom, setCountedFrom] = useState(serverState)
+  if (serverState !== countedFrom) {
+    setCountedFrom(serverState)
+    setElapsedSeconds(0)
+  }
+
+  const gameData = serverStateToGameState(serverState)
+  const isLive = !!gameData && !gameData.sessionEnded && !gameData.isPaused
+
+  useEffect(() => {
+    if (!isLive) return
+    const interval = setInterval(() => setElapsedSeconds(prev => prev + 1), 1000)
+    return () => clearInterval(interval)
+  }, [isLive])
+
+  if (loading || (!serverState && !error)) {
+    return (
+      <div className="app">
+        <div className="pre-session">
+          <h1>Loading...</h1>
+          <p className="voice-hint">Joining the session</p>
+        </div>
+      </div>
+    )
+  }
+
+  if (!gameData) {
+    return (
+      <div className="app">
+        <div className="pre-session">
+          <h1>Session Not Found</h1>
+          <p className="voice-hint">{error}</p>
+          <Link to="/" className="history-button">Go Home</Link>
+        </div>
+      </div>
+    )
+  }
+
+  if (gameData.sessionEnded) {
+    return (
+      <div className="app">
+        <SessionSummary
+          session={gameData.session}
+          games={gameData.games}
+          players={gameData.players}
+          pauseIntervals={gameData.pauseIntervals}
+        >
+          <Link to={`/history/${gameData.session.id}`} className="history-button">Game Details</Link>
+        </SessionSummary>
+      </div>
+    )
+  }
+
+  const game = getDisplayedGame(gameData)
+  const timeRemaining = Math.max(0, gameData.timeRemaining - elapsedSeconds)
+  const sessionHighScore = Math.max(gameData.highScore ?? 0, game.score)
+
+  // Who's shooting, in sessions with named players
+  const shooterId = gameData.currentGame?.playerId
+  const playerHighs = getPlayerHighs(gameData.games.map(g => ({
+    playerId: g.playerId,
+    score: g.id === gameData.currentGame?.id ? game.score : g.finalScore ?? 0,
+  })))
+  const shooter = shooterId && gameData.players.length > 0
+    ? { name: getPlayerName(gameData.players, shooterId), high: playerHighs[shooterId] ?? 0 }
+    : null
+
+  // Between games - show how the last one finished
+  if (!gameData.gameIsActive) {
+    return (
+      <div className="app">
+        <div className="game-over">
+          <div className="timer">{formatTime(timeRemaining)}</div>
+          <h2>{gameData.currentGame ? 'Game Over!' : 'Waiting for the first game'}</h2>
+          {gameData.currentGame && (
+            <div className="score-display">
+              <span className="label">Final Score</span>
+              <span className="value">{game.score}</span>
+            </div>
+          )}
+          <div className="high-score">
+            <span className="label">Session High</span>
+            <span className="value">{sessionHighScore}</span>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className={`app gameplay spectator mode-${game.mode}`}>
+      <Scoreboard
+        timeRemaining={timeRemaining}
+        paused={gameData.isPaused}
+        mode={game.mode}
+        score={game.score}
+        multiplier={game.multiplier}
+        multiplierShotsRemaining={game.multiplierShotsRemaining}
+        misses={game.misses}
+        freebiesRemaining={game.freebiesRemaining}
+        initialMisses={gameData.rules.initialMisses}
+        sessionHighScore={sessionHighScore}
+        shooter={shooter}
+      />
+    </div>
+  )
+}
+
+export default Spectator
@@ -0,0 +1,109 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Link } from 'react-router-dom'
+import './History.css'
+
+// The numbers shown for each period (higher is better for all of them)
+const METRICS = [
+  { key: 'sessionsPlayed', label: 'sessions' },
+  { key: 'minutesPlayed', label: 'minutes' },
+  { key: 'averageScore', label: 'avg score' },
+  { key: 'bestScore', label: 'best' },
+  { key: 'makePercentage', label: 'make %', suffix: '%' },
+]
+
+function formatPeriod(start, period) {
+  // Period starts are calendar dates - read them as such, not as UTC midnight
+  const [year, month, day] = start.split('-').map(Number)
+  const date = new Date(year, month - 1, day)
+  return period === 'month'
+    ? date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })
+    : `Week of ${date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`
+}
+
+function Delta({ value, suffix = '' }) {
+  if (value === null || value === 0) {
+    return <span className="trend-delta">–</span>
+  }
+  return (
+    <span className={`trend-delta ${value > 0 ? 'up' : 'down'}`}>
+      {value > 0 ? '▲' : '▼'} {Math.abs(value)}{suffix}
+    </span>
+  )
+}
+
+// Weekly or monthly rollups, each compared with the period before
+function Trends() {
+  const [period, setPeriod] = useState('week')
+  const [periods, setPeriods] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+
+  const fetchTrends = useCallback(async () => {
+    try {
+      setLoading(true)
+      setError(null)
+      const tzOffset = new Date().getTimezoneOffset()
+      const response = await fetch(`/api/stats/trends?period=${period}&tzOffset=${tzOffset}`)
+      const data = await response.json()
+      if (data.error) {
+        throw new Error(data.error)
+      }
+      setPeriods(data.periods || [])
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }, [period])
+
+  useEffect(() => {
+    fetchTrends()
+  }, [fetchTrends])
+
+  return (
+    <div className="history-page">
+      <div className="history-container">
+        <div className="history-header">
+          <Link to="/history" className="back-link">← History</Link>
+          <h1>Trends</h1>
+          <div className="period-toggle">
+            {['week', 'month'].map(option => (
+              <button key={option} className={period === option ? 'selected' : ''} onClick={() => setPeriod(option)}>
+                {option === 'week' ? 'Weekly' : 'Monthly'}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {loading && (
+          <div className="history-loading">Loading...</div>
+        )}
+
+        {error && (
+          <div className="history-error">{error}</div>
+        )}
+
+        {!loading && !error && (
+          <div className="history-list">
+            {periods.map(row => (
+              <div key={row.start} className={`trend-card ${row.sessionsPlayed === 0 ? 'empty' : ''}`}>
+                <div className="session-date">{formatPeriod(row.start, period)}</div>
+                <div className="session-stats">
+                  {METRICS.map(({ key, label, suffix }) => (
+                    <span key={key} className="stat">
+                      <span className="stat-value">{row[key] === null ? '–' : `${row[key]}${suffix ?? ''}`}</span>
+                      <span className="stat-label">{label}</span>
+                      <Delta value={row.deltas[key]} suffix={suffix} />
+                    </span>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Trends
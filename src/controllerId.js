@@ -0,0 +1,18 @@
+// This tab's controller ID - sent with every write, so the server can tell which
+// tab holds a session's controller lease. Kept in sessionStorage so a reloaded
+// tab still controls the session it had open.
+
+const STORAGE_KEY = 'scoreboard-controller-id';
+
+let controllerId = null;
+
+export function getControllerId() {
+  if (!controllerId) {
+    controllerId = sessionStorage.getItem(STORAGE_KEY);
+    if (!controllerId) {
+      controllerId = crypto.randomUUID();
+      sessionStorage.setItem(STORAGE_KEY, controllerId);
+    }
+  }
+  return controllerId;
+}
@@ -0,0 +1,6 @@
+// Format a number of seconds as m:ss for the session timer
+export function formatTime(seconds) {
+  const mins = Math.floor(seconds / 60)
+  const secs = seconds % 60
+  return `${mins}:${secs.toString().padStart(2, '0')}`
+}
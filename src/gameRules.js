@@ -0,0 +1,423 @@
+/**
+ * Game rules engine - pure functions shared by the client and the Netlify functions
+ *
+ * Every rule of the game lives here as (state, action) → next state, with no
+ * React or database code, so the scoreboard, /api/event and /api/recalculate
+ * all produce the same result for the same sequence of shots.
+ *
+ * Actions are plain objects: { type: 'make' | 'miss' | 'enter_point_mode' |
+ * 'enter_multiplier_mode' | 'continue_in_point_mode' }
+ */
+
+// Named rule sets a session can be played with - the chosen values are stored on the session row
+export const RULE_PRESETS = {
+  classic: {
+    label: 'Classic 10 Min',
+    rules: {
+      initialMisses: 3,
+      sessionDurationSeconds: 10 * 60,
+      freebiesAfterTen: 3,
+      multiplierShots: 5,
+    },
+  },
+  sprint: {
+    label: '5-Minute Sprint',
+    rules: {
+      initialMisses: 3,
+      sessionDurationSeconds: 5 * 60,
+      freebiesAfterTen: 3,
+      multiplierShots: 5,
+    },
+  },
+  hardcore: {
+    label: 'Hardcore 1 Life',
+    rules: {
+      initialMisses: 1,
+      sessionDurationSeconds: 10 * 60,
+      freebiesAfterTen: 3,
+      multiplierShots: 5,
+    },
+  },
+};
+
+export const DEFAULT_RULE_SET = 'classic';
+export const DEFAULT_RULES = RULE_PRESETS[DEFAULT_RULE_SET].rules;
+
+export function getRuleSetLabel(ruleSet) {
+  return RULE_PRESETS[ruleSet]?.label ?? ruleSet ?? RULE_PRESETS[DEFAULT_RULE_SET].label;
+}
+
+// Rules a session was played with, read from its row (older rows fall back to the classic values)
+export function getSessionRules(session) {
+  return {
+    initialMisses: session?.initialMisses ?? DEFAULT_RULES.initialMisses,
+    sessionDurationSeconds: session?.durationSeconds ?? DEFAULT_RULES.sessionDurationSeconds,
+    freebiesAfterTen: session?.freebiesAfterTen ?? DEFAULT_RULES.freebiesAfterTen,
+    multiplierShots: session?.multiplierShots ?? DEFAULT_RULES.multiplierShots,
+  };
+}
+
+// Fresh state for the start of a game
+export function createGameState(rules = DEFAULT_RULES) {
+  return {
+    mode: 'multiplier', // 'multiplier' or 'point'
+    score: 0,
+    multiplier: 1,
+    multiplierShotsRemaining: 0,
+    misses: rules.initialMisses,
+    freebiesRemaining: 0,
+    canEnterMultiplierMode: true,
+    // The last ten threshold passed (0, 10, 20, etc.)
+    lastTenThreshold: 0,
+  };
+}
+
+// Points a make is worth right now (the multiplier only applies while multiplier shots remain)
+export function getShotValue(state) {
+  return state.multiplierShotsRemaining > 0 ? state.multiplier : 1;
+}
+
+// Number of lives gained when the score crosses one or more multiples of ten
+export function calculateMissesGained(prevScore, newScore) {
+  const prevTens = Math.floor(prevScore / 10);
+  const newTens = Math.floor(newScore / 10);
+  return newTens - prevTens;
+}
+
+export function isGameOver(state) {
+  return state.misses <= 0;
+}
+
+// Returns why an action is not allowed in the given state, or null if it is legal
+export function getActionError(state, action) {
+  if (isGameOver(state)) {
+    return 'Game is over';
+  }
+
+  switch (action?.type) {
+    case 'make':
+    case 'miss':
+      return null;
+    case 'enter_point_mode':
+      return state.mode === 'multiplier' ? null : 'Already in point mode';
+    case 'enter_multiplier_mode':
+    case 'continue_in_point_mode':
+      if (state.mode !== 'point') return 'Already in multiplier mode';
+      if (!state.canEnterMultiplierMode) return 'Multiplier mode is only available right after passing a ten';
+      return null;
+    default:
+      return `Unknown action: ${action?.type}`;
+  }
+}
+
+// Use up one multiplier shot, dropping back to 1x when they run out
+function spendMultiplierShot(state) {
+  if (state.multiplierShotsRemaining <= 0) return state;
+
+  const multiplierShotsRemaining = state.multiplierShotsRemaining - 1;
+  return {
+    ...state,
+    multiplierShotsRemaining,
+    multiplier: multiplierShotsRemaining <= 0 ? 1 : state.multiplier,
+  };
+}
+
+function applyMake(state, rules) {
+  // In multiplier mode, making a shot increases the multiplier
+  if (state.mode === 'multiplier') {
+    return {
+      state: { ...state, multiplier: state.multiplier + 1 },
+      pointsEarned: 0,
+      livesGained: 0,
+    };
+  }
+
+  // In point mode, score points
+  const pointsEarned = getShotValue(state);
+  const score = state.score + pointsEarned;
+  let next = spendMultiplierShot({ ...state, score });
+
+  const livesGained = calculateMissesGained(state.score, score);
+  if (livesGained > 0) {
+    next = {
+      ...next,
+      misses: next.misses + livesGained,
+      freebiesRemaining: rules.freebiesAfterTen,
+      canEnterMultiplierMode: true,
+      lastTenThreshold: Math.floor(score / 10) * 10,
+    };
+  } else {
+    // Making a shot clears freebies (they only protect misses right after passing a 10)
+    next = { ...next, freebiesRemaining: 0, canEnterMultiplierMode: false };
+  }
+
+  return { state: next, pointsEarned, livesGained };
+}
+
+function applyMiss(state) {
+  // In multiplier mode, missing costs a miss
+  if (state.mode === 'multiplier') {
+    return {
+      state: { ...state, misses: state.misses - 1 },
+      usedFreebie: false,
+    };
+  }
+
+  // In point mode, misses also use up multiplier shots
+  const next = spendMultiplierShot(state);
+
+  // Freebies absorb the miss; entering multiplier mode is only forfeited once they're gone
+  if (next.freebiesRemaining > 0) {
+    const freebiesRemaining = next.freebiesRemaining - 1;
+    return {
+      state: {
+        ...next,
+        freebiesRemaining,
+        canEnterMultiplierMode: freebiesRemaining > 0 ? next.canEnterMultiplierMode : false,
+      },
+      usedFreebie: true,
+    };
+  }
+
+  // No freebies, spend a miss
+  return {
+    state: { ...next, misses: next.misses - 1 },
+    usedFreebie: false,
+  };
+}
+
+/**
+ * Apply an action to a game state
+ *
+ * Returns { state, pointsEarned, livesGained, usedFreebie, gameOver } and throws
+ * if the action isn't legal in the given state (check getActionError first).
+ */
+export function applyAction(state, action, rules = DEFAULT_RULES) {
+  const error = getActionError(state, action);
+  if (error) {
+    throw new Error(error);
+  }
+
+  let result;
+  switch (action.type) {
+    case 'make':
+      result = applyMake(state, rules);
+      break;
+    case 'miss':
+      result = applyMiss(state);
+      break;
+    case 'enter_point_mode':
+      result = {
+        state: {
+          ...state,
+          mode: 'point',
+          // Lock in the multiplier for a limited number of shots
+          multiplierShotsRemaining: state.multiplier > 1 ? rules.multiplierShots : state.multiplierShotsRemaining,
+          canEnterMultiplierMode: false,
+          freebiesRemaining: rules.freebiesAfterTen, // Start of game, at "0" threshold
+        },
+      };
+      break;
+    case 'enter_multiplier_mode':
+      result = {
+        state: {
+          ...state,
+          mode: 'multiplier',
+          multiplier: 1, // Reset multiplier when entering multiplier mode
+          freebiesRemaining: 0,
+        },
+      };
+      break;
+    case 'continue_in_point_mode':
+      // Forfeit multiplier mode entry
+      result = { state: { ...state, canEnterMultiplierMode: false } };
+      break;
+  }
+
+  return {
+    pointsEarned: 0,
+    livesGained: 0,
+    usedFreebie: false,
+    ...result,
+    gameOver: isGameOver(result.state),
+  };
+}
+
+/**
+ * Apply the post-buzzer final shot to the state the game ended in
+ *
+ * A make is worth whatever a make was worth at the buzzer. It isn't an action -
+ * it doesn't touch lives, multipliers or modes, and can't be undone.
+ */
+export function applyFinalShot(state, made) {
+  const pointsEarned = made ? getShotValue(state) : 0;
+  return {
+    state: { ...state, score: state.score + pointsEarned },
+    pointsEarned,
+  };
+}
+
+// Map a row from the events table to the action that produced it (null for bookkeeping events)
+export function eventToAction(event) {
+  switch (event.eventType) {
+    case 'make':
+      return { type: 'make' };
+    case 'miss':
+      return { type: 'miss' };
+    case 'mode_change':
+      // Staying in point mode after passing a ten is recorded as a change from point to point
+      if (event.previousMode === 'point' && event.newMode === 'point') {
+        return { type: 'continue_in_point_mode' };
+      }
+      return { type: event.newMode === 'point' ? 'enter_point_mode' : 'enter_multiplier_mode' };
+    default:
+      return null;
+  }
+}
+
+// Whether an event is an action (make, miss or mode change) rather than bookkeeping
+function isActionEvent(event) {
+  return eventToAction(event) !== null;
+}
+
+/**
+ * Work out the undo and redo stacks from a game's event log
+ *
+ * An 'undo' retracts the action it points at; a 'redo' points at an undo and
+ * puts its action back. Any new action clears the redo stack, like any editor.
+ *
+ * Returns { effective, undoStack, redoStack }:
+ * - effective: the events still in effect, without undo/redo bookkeeping
+ * - undoStack: action events that can be undone, most recent last
+ * - redoStack: undo events that can be redone, most recent last
+ */
+export function getUndoRedoStacks(gameEvents) {
+  const bySequence = new Map(gameEvents.map(e => [e.sequenceNumber, e]));
+  const retracted = new Set();
+  let undoStack = [];
+  let redoStack = [];
+
+  for (const event of gameEvents) {
+    if (event.eventType === 'undo') {
+      retracted.add(event.retractsSequenceNumber);
+      undoStack = undoStack.filter(e => e.sequenceNumber !== event.retractsSequenceNumber);
+      redoStack.push(event);
+    } else if (event.eventType === 'redo') {
+      const undoEvent = bySequence.get(event.retractsSequenceNumber);
+      if (!undoEvent || !redoStack.includes(undoEvent)) continue;
+
+      retracted.delete(undoEvent.retractsSequenceNumber);
+      redoStack = redoStack.filter(e => e !== undoEvent);
+      const redone = bySequence.get(undoEvent.retractsSequenceNumber);
+      if (redone) undoStack.push(redone);
+    } else if (isActionEvent(event)) {
+      undoStack.push(event);
+      redoStack = [];
+    }
+  }
+
+  const effective = gameEvents.filter(e =>
+    e.eventType !== 'undo' && e.eventType !== 'redo' && !retracted.has(e.sequenceNumber)
+  );
+
+  return { effective, undoStack, redoStack };
+}
+
+// Events still in effect - drops undo/redo events along with the events that are undone
+export function getEffectiveEvents(gameEvents) {
+  return getUndoRedoStacks(gameEvents).effective;
+}
+
+// The most recent event that an undo would retract (null if there's nothing to undo)
+export function getLastUndoableEvent(gameEvents) {
+  return getUndoRedoStacks(gameEvents).undoStack.at(-1) ?? null;
+}
+
+// The most recent undo event that a redo would reverse (null if there's nothing to redo)
+export function getLastRedoableEvent(gameEvents) {
+  return getUndoRedoStacks(gameEvents).redoStack.at(-1) ?? null;
+}
+
+/**
+ * Replay a game's events (ordered by sequence number) from the start
+ *
+ * Undone events are ignored. Events whose action isn't legal at that point are
+ * skipped and counted in `skipped`, so legacy data can still be summarized.
+ * A final_shot is applied on top of wherever the game ended up.
+ */
+export function replayEvents(gameEvents, rules = DEFAULT_RULES) {
+  let state = createGameState(rules);
+  let totalMakes = 0;
+  let totalMisses = 0;
+  let highMultiplier = state.multiplier;
+  let skipped = 0;
+
+  for (const event of getEffectiveEvents(gameEvents)) {
+    if (event.eventType === 'final_shot') {
+      // A make always earns at least a point, so pointsEarned says whether it went in
+      const made = event.pointsEarned > 0;
+      state = applyFinalShot(state, made).state;
+      if (made) totalMakes++;
+      else totalMisses++;
+      continue;
+    }
+
+    const action = eventToAction(event);
+    if (!action) continue;
+
+    if (getActionError(state, action)) {
+      skipped++;
+      continue;
+    }
+
+    state = applyAction(state, action, rules).state;
+    if (action.type === 'make') totalMakes++;
+    if (action.type === 'miss') totalMisses++;
+    highMultiplier = Math.max(highMultiplier, state.multiplier);
+  }
+
+  return {
+    state,
+    totalMakes,
+    totalMisses,
+    highMultiplier,
+    gameOver: isGameOver(state),
+    skipped,
+  };
+}
+
+/**
+ * Rebuild a game's undo/redo history from its event log
+ *
+ * Returns { state, past, future }: the current state, the state before each
+ * action that can be undone (most recent last), and the state each redo would
+ * restore (next redo last).
+ */
+export function rebuildHistory(gameEvents, rules = DEFAULT_RULES) {
+  const { effective, redoStack } = getUndoRedoStacks(gameEvents);
+  const bySequence = new Map(gameEvents.map(e => [e.sequenceNumber, e]));
+
+  let state = createGameState(rules);
+  const past = [];
+  for (const event of effective) {
+    const action = eventToAction(event);
+    if (!action || getActionError(state, action)) continue;
+
+    past.push(state);
+    state = applyAction(state, action, rules).state;
+  }
+
+  // Re-apply undone actions, most recently undone first, to get each redo state
+  const future = [];
+  let redoState = state;
+  for (let i = redoStack.length - 1; i >= 0; i--) {
+    const undone = bySequence.get(redoStack[i].retractsSequenceNumber);
+    const action = undone && eventToAction(undone);
+    if (!action || getActionError(redoState, action)) break;
+
+    redoState = applyAction(redoState, action, rules).state;
+    future.unshift(redoState);
+  }
+
+  return { state, past, future };
+}
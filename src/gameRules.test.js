@@ -0,0 +1,271 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_RULES,
+  applyAction,
+  createGameState,
+  getActionError,
+  getUndoRedoStacks,
+  rebuildHistory,
+} from './gameRules.js';
+
+const make = { type: 'make' };
+const miss = { type: 'miss' };
+const enterPoint = { type: 'enter_point_mode' };
+const enterMultiplier = { type: 'enter_multiplier_mode' };
+const continueInPoint = { type: 'continue_in_point_mode' };
+
+// Apply actions one after another from a fresh game
+function play(actions, state = createGameState()) {
+  return actions.reduce((current, action) => applyAction(current, action).state, state);
+}
+
+// Build an event log from [eventType, extra] pairs, numbered from 1 like the client's events
+function log(...entries) {
+  return entries.map(([eventType, extra], i) => ({ sequenceNumber: i + 1, eventType, ...extra }));
+}
+
+describe('getActionError', () => {
+  it('only allows entering point mode from multiplier mode', () => {
+    const state = createGameState();
+    expect(getActionError(state, enterPoint)).toBeNull();
+    expect(getActionError(play([enterPoint]), enterPoint)).toBe('Already in point mode');
+  });
+
+  it('only allows multiplier mode or continuing in point mode right after passing a ten', () => {
+    expect(getActionError(createGameState(), enterMultiplier)).toBe('Already in multiplier mode');
+    expect(getActionError(createGameState(), continueInPoint)).toBe('Already in multiplier mode');
+
+    const inPoint = play([enterPoint]);
+    expect(getActionError(inPoint, enterMultiplier)).toMatch(/only available right after passing a ten/);
+
+    const pastTen = play(Array(10).fill(make), inPoint);
+    expect(pastTen.score).toBe(10);
+    expect(getActionError(pastTen, enterMultiplier)).toBeNull();
+    expect(getActionError(pastTen, continueInPoint)).toBeNull();
+  });
+
+  it('rejects every action once the game is over, and unknown actions', () => {
+    const over = play([miss, miss, miss]);
+    expect(over.misses).toBe(0);
+    expect(getActionError(over, make)).toBe('Game is over');
+    expect(getActionError(createGameState(), { type: 'dunk' })).toBe('Unknown action: dunk');
+  });
+});
+
+describe('applyAction', () => {
+  it('throws for an illegal action', () => {
+    expect(() => applyAction(createGameState(), enterMultiplier)).toThrow('Already in multiplier mode');
+  });
+
+  it('builds the multiplier with makes in multiplier mode without scoring', () => {
+    const result = applyAction(play([make, make]), make);
+    expect(result.state.multiplier).toBe(4);
+    expect(result.state.score).toBe(0);
+    expect(result.pointsEarned).toBe(0);
+  });
+
+  it('locks the multiplier in for multiplierShots shots when entering point mode', () => {
+    const state = play([make, make, enterPoint]);
+    expect(state.mode).toBe('point');
+    expect(state.multiplier).toBe(3);
+    expect(state.multiplierShotsRemaining).toBe(DEFAULT_RULES.multiplierShots);
+    expect(state.freebiesRemaining).toBe(DEFAULT_RULES.freebiesAfterTen);
+    expect(state.canEnterMultiplierMode).toBe(false);
+
+    const result = applyAction(state, make);
+    expect(result.pointsEarned).toBe(3);
+    expect(result.state.multiplierShotsRemaining).toBe(DEFAULT_RULES.multiplierShots - 1);
+  });
+
+  it('drops back to 1x once the multiplier shots run out, misses included', () => {
+    const state = play([make, enterPoint, miss, make, make, make]);
+    expect(state.multiplier).toBe(2);
+    expect(state.multiplierShotsRemaining).toBe(1);
+
+    const last = applyAction(state, make);
+    expect(last.pointsEarned).toBe(2);
+    expect(last.state.multiplier).toBe(1);
+    expect(last.state.multiplierShotsRemaining).toBe(0);
+    expect(applyAction(last.state, make).pointsEarned).toBe(1);
+  });
+
+  it('leaves multiplierShotsRemaining alone when entering point mode at 1x', () => {
+    const state = play([enterPoint]);
+    expect(state.multiplier).toBe(1);
+    expect(state.multiplierShotsRemaining).toBe(0);
+    expect(applyAction(state, make).pointsEarned).toBe(1);
+  });
+
+  it('uses freebies before misses in point mode and forfeits multiplier mode when they run out', () => {
+    const pastTen = play([enterPoint, ...Array(10).fill(make)]);
+    expect(pastTen.freebiesRemaining).toBe(3);
+    expect(pastTen.canEnterMultiplierMode).toBe(true);
+
+    const first = applyAction(pastTen, miss);
+    expect(first.usedFreebie).toBe(true);
+    expect(first.state.misses).toBe(pastTen.misses);
+    expect(first.state.canEnterMultiplierMode).toBe(true);
+
+    const out = play([miss, miss], first.state);
+    expect(out.freebiesRemaining).toBe(0);
+    expect(out.canEnterMultiplierMode).toBe(false);
+
+    const spent = applyAction(out, miss);
+    expect(spent.usedFreebie).toBe(false);
+    expect(spent.state.misses).toBe(pastTen.misses - 1);
+  });
+
+  it('gains a life for each ten passed, even with one multiplied make', () => {
+    const state = play([make, make, enterPoint, make, make, make]);
+    expect(state.score).toBe(9);
+
+    const result = applyAction(state, make);
+    expect(result.state.score).toBe(12);
+    expect(result.livesGained).toBe(1);
+    expect(result.state.misses).toBe(DEFAULT_RULES.initialMisses + 1);
+    expect(result.state.lastTenThreshold).toBe(10);
+  });
+
+  it('clears freebies and the multiplier mode option on a make that passes no ten', () => {
+    const pastTen = play([enterPoint, ...Array(10).fill(make)]);
+    const state = applyAction(pastTen, make).state;
+    expect(state.freebiesRemaining).toBe(0);
+    expect(state.canEnterMultiplierMode).toBe(false);
+  });
+
+  it('resets the multiplier when going back to multiplier mode', () => {
+    const pastTen = play([make, make, enterPoint, make, make, make, make]);
+    expect(pastTen.multiplier).toBe(3);
+
+    const state = applyAction(pastTen, enterMultiplier).state;
+    expect(state.mode).toBe('multiplier');
+    expect(state.multiplier).toBe(1);
+    expect(state.freebiesRemaining).toBe(0);
+  });
+
+  it('only forfeits multiplier mode when continuing in point mode', () => {
+    const pastTen = play([enterPoint, ...Array(10).fill(make)]);
+    const state = applyAction(pastTen, continueInPoint).state;
+    expect(state).toEqual({ ...pastTen, canEnterMultiplierMode: false });
+  });
+
+  it('reports game over on the last miss', () => {
+    const result = applyAction(play([miss, miss]), miss);
+    expect(result.gameOver).toBe(true);
+    expect(result.state.misses).toBe(0);
+  });
+});
+
+describe('getUndoRedoStacks', () => {
+  it('retracts undone actions and lets a redo put them back', () => {
+    const events = log(['make'], ['make'], ['undo', { retractsSequenceNumber: 2 }]);
+    let stacks = getUndoRedoStacks(events);
+    expect(stacks.effective.map(e => e.sequenceNumber)).toEqual([1]);
+    expect(stacks.undoStack.map(e => e.sequenceNumber)).toEqual([1]);
+    expect(stacks.redoStack.map(e => e.sequenceNumber)).toEqual([3]);
+
+    stacks = getUndoRedoStacks([...events, { sequenceNumber: 4, eventType: 'redo', retractsSequenceNumber: 3 }]);
+    expect(stacks.effective.map(e => e.sequenceNumber)).toEqual([1, 2]);
+    expect(stacks.undoStack.map(e => e.sequenceNumber)).toEqual([1, 2]);
+    expect(stacks.redoStack).toEqual([]);
+  });
+
+  it('clears the redo stack on a new action', () => {
+    const events = log(['make'], ['undo', { retractsSequenceNumber: 1 }], ['miss']);
+    const stacks = getUndoRedoStacks(events);
+    expect(stacks.redoStack).toEqual([]);
+    expect(stacks.undoStack.map(e => e.sequenceNumber)).toEqual([3]);
+  });
+
+  it('ignores a redo of an undo that is no longer redoable', () => {
+    const events = log(
+      ['make'],
+      ['undo', { retractsSequenceNumber: 1 }],
+      ['miss'],
+      ['redo', { retractsSequenceNumber: 2 }]
+    );
+    const stacks = getUndoRedoStacks(events);
+    expect(stacks.effective.map(e => e.sequenceNumber)).toEqual([3]);
+  });
+
+  it('keeps bookkeeping events in effect but off the undo stack', () => {
+    const events = log(['game_start'], ['make'], ['game_end']);
+    const stacks = getUndoRedoStacks(events);
+    expect(stacks.effective.map(e => e.eventType)).toEqual(['game_start', 'make', 'game_end']);
+    expect(stacks.undoStack.map(e => e.eventType)).toEqual(['make']);
+  });
+});
+
+describe('rebuildHistory', () => {
+  it('rebuilds the state and the state before each undoable action', () => {
+    const { state, past, future } = rebuildHistory(log(
+      ['make'],
+      ['mode_change', { previousMode: 'multiplier', newMode: 'point' }],
+      ['make']
+    ));
+    expect(state).toEqual(play([make, enterPoint, make]));
+    expect(past).toEqual([createGameState(), play([make]), play([make, enterPoint])]);
+    expect(future).toEqual([]);
+  });
+
+  it('restores the locked-in multiplier after a mode change is undone and redone', () => {
+    const events = log(
+      ['make'],
+      ['make'],
+      ['mode_change', { previousMode: 'multiplier', newMode: 'point' }],
+      ['undo', { retractsSequenceNumber: 3 }]
+    );
+    let history = rebuildHistory(events);
+    expect(history.state).toEqual(play([make, make]));
+    expect(history.future).toEqual([play([make, make, enterPoint])]);
+
+    history = rebuildHistory([...events, { sequenceNumber: 5, eventType: 'redo', retractsSequenceNumber: 4 }]);
+    expect(history.state.multiplierShotsRemaining).toBe(DEFAULT_RULES.multiplierShots);
+    expect(history.state.multiplier).toBe(3);
+    expect(history.future).toEqual([]);
+  });
+
+  it('keeps multiplier mode forfeited after continuing in point mode, until it is undone', () => {
+    const events = log(
+      ['mode_change', { previousMode: 'multiplier', newMode: 'point' }],
+      ...Array(10).fill(['make']),
+      ['mode_change', { previousMode: 'point', newMode: 'point' }]
+    );
+    let history = rebuildHistory(events);
+    expect(history.state.score).toBe(10);
+    expect(history.state.canEnterMultiplierMode).toBe(false);
+    expect(history.past.at(-1).canEnterMultiplierMode).toBe(true);
+
+    history = rebuildHistory([...events, { sequenceNumber: 13, eventType: 'undo', retractsSequenceNumber: 12 }]);
+    expect(history.state.canEnterMultiplierMode).toBe(true);
+    expect(history.future.at(-1).canEnterMultiplierMode).toBe(false);
+  });
+
+  it('orders redo states so the next redo is last', () => {
+    const events = log(
+      ['make'],
+      ['make'],
+      ['undo', { retractsSequenceNumber: 2 }],
+      ['undo', { retractsSequenceNumber: 1 }]
+    );
+    const { state, past, future } = rebuildHistory(events);
+    expect(state).toEqual(createGameState());
+    expect(past).toEqual([]);
+    expect(future).toEqual([play([make, make]), play([make])]);
+  });
+
+  it('skips actions that are not legal at that point', () => {
+    const { state, past } = rebuildHistory(log(
+      ['mode_change', { previousMode: 'point', newMode: 'multiplier' }],
+      ['make']
+    ));
+    expect(state).toEqual(play([make]));
+    expect(past).toHaveLength(1);
+  });
+
+  it('plays with the session rules', () => {
+    const rules = { ...DEFAULT_RULES, initialMisses: 1 };
+    const { state } = rebuildHistory(log(['miss']), rules);
+    expect(state.misses).toBe(0);
+  });
+});
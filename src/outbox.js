@@ -0,0 +1,249 @@
+// Durable outbox for writes to the API
+//
+// Session, game and event writes are saved to IndexedDB before they're sent, so
+// shots recorded on bad Wi-Fi (or just before the tab closes) still reach the
+// server later. Writes are sent one at a time in the order they were queued,
+// since each one depends on the ones before it (an event needs its game, a game
+// needs its session).
+//
+// A write the server rejects (a 4xx) is kept, marked with the rejection, rather
+// than dropped - dropping an event would leave a gap that gets every later event
+// in its game rejected too. Rejected writes are held aside until they're retried
+// or discarded, and reported to subscribers so the failure can be shown.
+
+const DB_NAME = 'scoreboard-outbox';
+const STORE_NAME = 'writes';
+
+// Consecutive event writes are sent together through PUT /api/event
+const MAX_EVENT_BATCH = 50;
+
+// Retry backoff: 1s, 2s, 4s... up to 30s
+const BASE_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+
+let databasePromise = null;
+let flushPromise = null;
+let flushRequested = false;
+let retryTimer = null;
+let retryAttempt = 0;
+// Keys of the writes currently being sent (these can't be replaced in place)
+let inFlightKeys = new Set();
+const listeners = new Set();
+
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'key', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return databasePromise;
+}
+
+// Run a callback against the store, resolving with its request's result once the transaction commits
+async function withStore(mode, callback) {
+  const database = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = database.transaction(STORE_NAME, mode);
+    const request = callback(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function getQueuedWrites() {
+  return withStore('readonly', store => store.getAll());
+}
+
+// What subscribers are told: writes waiting to be sent, and writes held aside after
+// a rejection (with the most recent rejection's error)
+function getStatus(writes) {
+  const rejected = writes.filter(write => write.rejection);
+  return {
+    unsyncedCount: writes.length - rejected.length,
+    rejectedCount: rejected.length,
+    rejectionError: rejected.length > 0 ? rejected[rejected.length - 1].rejection.error : null,
+  };
+}
+
+function notify(writes) {
+  const status = getStatus(writes);
+  listeners.forEach(listener => listener(status));
+}
+
+function scheduleRetry() {
+  const delay = Math.min(BASE_RETRY_MS * 2 ** retryAttempt, MAX_RETRY_MS);
+  retryAttempt++;
+  clearTimeout(retryTimer);
+  retryTimer = setTimeout(flushOutbox, delay);
+}
+
+// The next request to send - a run of event writes becomes one batch
+function takeNextRequest(writes) {
+  const [first] = writes;
+  if (first.batch !== 'events') {
+    return { writes: [first], url: first.url, method: first.method, body: first.body };
+  }
+
+  const batch = [];
+  for (const write of writes) {
+    if (write.batch !== 'events' || batch.length === MAX_EVENT_BATCH) break;
+    batch.push(write);
+  }
+  return {
+    writes: batch,
+    url: '/api/event',
+    method: 'PUT',
+    body: { events: batch.map(write => write.body) },
+  };
+}
+
+// Send queued writes until the outbox is empty or the server can't be reached
+async function sendQueuedWrites() {
+  clearTimeout(retryTimer);
+  retryTimer = null;
+
+  for (;;) {
+    const writes = await getQueuedWrites();
+    notify(writes);
+    const pending = writes.filter(write => !write.rejection);
+    if (pending.length === 0) {
+      retryAttempt = 0;
+      return;
+    }
+
+    // Wait for the 'online' event rather than burning through retries
+    if (!navigator.onLine) return;
+
+    const request = takeNextRequest(pending);
+    inFlightKeys = new Set(request.writes.map(write => write.key));
+
+    let response;
+    try {
+      response = await fetch(request.url, {
+        method: request.method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(request.body),
+      });
+      if (response.status >= 500) {
+        throw new Error(`Server responded with ${response.status}`);
+      }
+    } catch (error) {
+      inFlightKeys = new Set();
+      console.error('Failed to sync writes:', error);
+      scheduleRetry();
+      return;
+    }
+
+    let rejection = null;
+    if (!response.ok) {
+      // The server rejected the write (illegal transition or conflict) - retrying won't help on its own
+      const data = await response.json().catch(() => ({}));
+      console.error('Write rejected by server:', data.error, data);
+      rejection = { status: response.status, error: data.error || `Server responded with ${response.status}` };
+    }
+
+    retryAttempt = 0;
+    try {
+      await withStore('readwrite', store => {
+        request.writes.forEach(write => (rejection
+          ? store.put({ ...write, rejection })
+          : store.delete(write.key)));
+      });
+    } finally {
+      // Only once the sent writes are settled can a write with the same replaceKey replace them
+      inFlightKeys = new Set();
+    }
+  }
+}
+
+/**
+ * Send everything in the outbox, in order
+ *
+ * Resolves once the outbox is empty or sending has stopped (offline or a server
+ * error, in which case a retry is scheduled). Calls made while a flush is running
+ * share it, and it picks up anything queued in the meantime.
+ */
+export function flushOutbox() {
+  flushRequested = true;
+  if (!flushPromise) {
+    flushPromise = (async () => {
+      while (flushRequested) {
+        flushRequested = false;
+        try {
+          await sendQueuedWrites();
+        } catch (error) {
+          console.error('Failed to read outbox:', error);
+        }
+      }
+      flushPromise = null;
+    })();
+  }
+  return flushPromise;
+}
+
+/**
+ * Save a write to the outbox and start sending it
+ *
+ * write: { url, method, body, batch? } - writes with batch: 'events' hold a
+ * single event as their body and are sent in batches to PUT /api/event.
+ *
+ * With replaceKey, a queued write with the same key that hasn't been sent yet is
+ * replaced instead of adding another (for writes where only the latest matters).
+ */
+export async function queueWrite(write, { replaceKey } = {}) {
+  await withStore('readwrite', store => {
+    if (!replaceKey) {
+      return store.add(write);
+    }
+
+    const existingRequest = store.getAll();
+    existingRequest.onsuccess = () => {
+      const existing = existingRequest.result.find(queued =>
+        queued.replaceKey === replaceKey && !inFlightKeys.has(queued.key)
+      );
+      store.put(existing ? { ...write, replaceKey, key: existing.key } : { ...write, replaceKey });
+    };
+    return existingRequest;
+  });
+
+  flushOutbox();
+}
+
+// Writes waiting to be sent and writes held aside - { unsyncedCount, rejectedCount, rejectionError }
+export async function getOutboxStatus() {
+  return getStatus(await getQueuedWrites());
+}
+
+// Change every rejected write, then send again (or just report the change)
+async function updateRejectedWrites(update) {
+  await withStore('readwrite', store => {
+    const request = store.getAll();
+    request.onsuccess = () => {
+      request.result.filter(write => write.rejection).forEach(write => update(store, write));
+    };
+    return request;
+  });
+  await flushOutbox();
+}
+
+// Send the rejected writes again, in their original order (e.g. once this tab has control back)
+export function retryRejectedWrites() {
+  return updateRejectedWrites((store, write) => store.put({ ...write, rejection: undefined }));
+}
+
+// Give up on the rejected writes
+export function discardRejectedWrites() {
+  return updateRejectedWrites((store, write) => store.delete(write.key));
+}
+
+// Subscribe to the outbox's status (see getOutboxStatus) - returns an unsubscribe function
+export function subscribeToOutbox(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
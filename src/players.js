@@ -0,0 +1,22 @@
+// Helpers for sessions with named players taking turns
+
+export function getPlayerName(players, playerId) {
+  return players.find(player => player.id === playerId)?.name ?? 'Unknown';
+}
+
+// Who shoots after this player - wraps around to the first (null for sessions without players)
+export function getNextPlayerId(playerIds, currentPlayerId) {
+  if (playerIds.length === 0) return null;
+  const index = playerIds.indexOf(currentPlayerId);
+  return playerIds[(index + 1) % playerIds.length];
+}
+
+// Each player's best score of the session, from games { playerId, score }
+export function getPlayerHighs(games) {
+  const highs = {};
+  for (const { playerId, score } of games) {
+    if (!playerId) continue;
+    highs[playerId] = Math.max(highs[playerId] ?? 0, score);
+  }
+  return highs;
+}
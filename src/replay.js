@@ -0,0 +1,56 @@
+import { createGameState } from './gameRules.js';
+import { getElapsedMsAt } from './sessionClock.js';
+
+// Helpers for playing a finished game back from its event log
+
+export const REPLAY_SPEEDS = [1, 4, 16];
+
+/**
+ * Lay a game's events (ordered by sequence number) out on the session clock
+ *
+ * A frame's position is how far into the game it happened, in ms of session
+ * clock - so time spent paused is skipped. Positions never go backwards, even
+ * where the client's clock did, so frames stay in sequence order.
+ *
+ * Returns { frames, duration, startElapsedMs } - each frame is { position, event },
+ * and startElapsedMs is how far into the session the game started.
+ */
+export function buildReplay(session, pauseIntervals, game, gameEvents) {
+  const clockAt = (timestamp) => getElapsedMsAt(session, pauseIntervals, new Date(timestamp).getTime());
+  const startElapsedMs = clockAt(game.startedAt);
+
+  let position = 0;
+  const frames = gameEvents.map((event) => {
+    position = Math.max(position, clockAt(event.occurredAt) - startElapsedMs);
+    return { position, event };
+  });
+
+  const endPosition = game.endedAt ? clockAt(game.endedAt) - startElapsedMs : 0;
+  return { frames, duration: Math.max(position, endPosition), startElapsedMs };
+}
+
+// Index of the last frame that has happened by `position` (-1 before the first)
+export function getFrameIndex(frames, position) {
+  let index = -1;
+  while (index + 1 < frames.length && frames[index + 1].position <= position) {
+    index++;
+  }
+  return index;
+}
+
+// The scoreboard as of a frame (-1 for the start of the game), from the state the server recorded
+export function getReplayState(frames, index, rules) {
+  if (index < 0) {
+    return createGameState(rules);
+  }
+
+  const { event } = frames[index];
+  return {
+    mode: event.mode,
+    score: event.score,
+    multiplier: event.multiplier,
+    multiplierShotsRemaining: event.multiplierShotsRemaining,
+    misses: event.missesRemaining,
+    freebiesRemaining: event.freebiesRemaining,
+  };
+}
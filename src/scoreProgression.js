@@ -0,0 +1,45 @@
+import { getEffectiveEvents } from './gameRules.js';
+import { getElapsedMsAt } from './sessionClock.js';
+
+/**
+ * How a game's score and multiplier moved, shot by shot, for charting
+ *
+ * Takes the game's events ordered by sequence number (undone shots are left
+ * out). Returns one point per shot, after a starting point at zero:
+ * { shot, seconds, score, multiplier, livesGained } - seconds is session clock
+ * since the game started (so pauses are skipped), and livesGained is how many
+ * lives the shot earned by passing a ten.
+ *
+ * Mode switches come back separately as { shot, seconds, mode }, placed after
+ * the shot they followed.
+ */
+export function getScoreProgression(gameEvents, session, pauseIntervals = []) {
+  const effective = getEffectiveEvents(gameEvents);
+  const clockAt = (timestamp) => getElapsedMsAt(session, pauseIntervals, new Date(timestamp).getTime());
+  const startMs = effective.length > 0 ? clockAt(effective[0].occurredAt) : 0;
+  const secondsAt = (event) => Math.max(0, (clockAt(event.occurredAt) - startMs) / 1000);
+
+  const points = [{ shot: 0, seconds: 0, score: 0, multiplier: 1, livesGained: 0 }];
+  const modeChanges = [];
+  let lives = effective[0]?.missesRemaining ?? 0;
+
+  for (const event of effective) {
+    const previous = points[points.length - 1];
+
+    // Staying in point mode is recorded as a mode change, but doesn't change the mode
+    if (event.eventType === 'mode_change' && event.previousMode !== event.newMode) {
+      modeChanges.push({ shot: previous.shot, seconds: secondsAt(event), mode: event.newMode });
+    } else if (['make', 'miss', 'final_shot'].includes(event.eventType)) {
+      points.push({
+        shot: previous.shot + 1,
+        seconds: secondsAt(event),
+        score: event.score,
+        multiplier: event.multiplier,
+        livesGained: Math.max(0, event.missesRemaining - lives),
+      });
+    }
+    lives = event.missesRemaining;
+  }
+
+  return { points, modeChanges };
+}
@@ -0,0 +1,120 @@
+/**
+ * Session clock - pure functions shared by the client and the Netlify functions
+ *
+ * A session's timer runs from startedAt for its duration, stopping while the
+ * session is paused. Pauses are recorded as intervals ({ pausedAt, resumedAt },
+ * resumedAt null while still paused); sessions from before intervals were
+ * recorded only have the summary columns on the session row, which are used
+ * when there are no intervals to go on.
+ *
+ * Everything takes an optional `now` (ms) so a clock can be worked out as of
+ * any moment, not just the present.
+ */
+
+import { getSessionRules } from './gameRules.js';
+
+const toMs = (timestamp) => new Date(timestamp).getTime();
+
+/**
+ * Summarize pause intervals the way the session row stores them
+ *
+ * Returns { isPaused, pausedAt, totalPausedMs } - pausedAt is when the running
+ * pause began (or null), and totalPausedMs only counts pauses that have ended.
+ */
+export function summarizePauses(pauseIntervals) {
+  let totalPausedMs = 0;
+  let pausedAt = null;
+
+  for (const interval of pauseIntervals) {
+    if (interval.resumedAt) {
+      totalPausedMs += Math.max(0, toMs(interval.resumedAt) - toMs(interval.pausedAt));
+    } else if (!pausedAt || toMs(interval.pausedAt) < toMs(pausedAt)) {
+      pausedAt = new Date(interval.pausedAt);
+    }
+  }
+
+  return { isPaused: !!pausedAt, pausedAt, totalPausedMs };
+}
+
+// The session's pauses - from its intervals when it has any, otherwise from its row
+export function getPauseSummary(session, pauseIntervals = []) {
+  if (pauseIntervals.length > 0) {
+    return summarizePauses(pauseIntervals);
+  }
+
+  return {
+    isPaused: !!(session.isPaused && session.pausedAt),
+    pausedAt: session.isPaused && session.pausedAt ? new Date(session.pausedAt) : null,
+    totalPausedMs: session.totalPausedMs || 0,
+  };
+}
+
+// How long the session's timer has run, in ms
+export function getElapsedMs(session, pauseIntervals = [], now = Date.now()) {
+  const { isPaused, pausedAt, totalPausedMs } = getPauseSummary(session, pauseIntervals);
+  const clockStoppedAt = isPaused ? toMs(pausedAt) : now;
+  return clockStoppedAt - toMs(session.startedAt) - totalPausedMs;
+}
+
+/**
+ * How long the session's timer had run at a past moment, in ms
+ *
+ * Only counts the pauses (or the part of a pause) before `at`. Sessions from
+ * before intervals were recorded can't say when they were paused, so their
+ * pauses are left out.
+ */
+export function getElapsedMsAt(session, pauseIntervals, at) {
+  let pausedMs = 0;
+  for (const interval of pauseIntervals) {
+    const pausedAt = toMs(interval.pausedAt);
+    if (pausedAt >= at) continue;
+    const resumedAt = interval.resumedAt ? Math.min(toMs(interval.resumedAt), at) : at;
+    pausedMs += Math.max(0, resumedAt - pausedAt);
+  }
+  return at - toMs(session.startedAt) - pausedMs;
+}
+
+// Whole seconds left on the session's timer (0 once it has ended)
+export function getTimeRemaining(session, pauseIntervals = [], now = Date.now()) {
+  if (!session || session.endedAt) {
+    return 0;
+  }
+
+  const durationMs = getSessionRules(session).sessionDurationSeconds * 1000;
+  return Math.max(0, Math.floor((durationMs - getElapsedMs(session, pauseIntervals, now)) / 1000));
+}
+
+// Whether the session's timer has run out (whether or not the session has been closed yet)
+export function isTimerExpired(session, pauseIntervals = [], now = Date.now()) {
+  const durationMs = getSessionRules(session).sessionDurationSeconds * 1000;
+  return getElapsedMs(session, pauseIntervals, now) >= durationMs;
+}
+
+/**
+ * When the session's timer runs out (or ran out), given its pauses so far
+ *
+ * A pause only pushes the expiry back if it began before the timer ran out.
+ * While the session is paused, this is when it would run out if it were
+ * resumed at `now`.
+ */
+export function getTimerExpiry(session, pauseIntervals = [], now = Date.now()) {
+  const durationMs = getSessionRules(session).sessionDurationSeconds * 1000;
+  let expiryMs = toMs(session.startedAt) + durationMs;
+
+  if (pauseIntervals.length === 0) {
+    const { isPaused, pausedAt, totalPausedMs } = getPauseSummary(session);
+    expiryMs += totalPausedMs;
+    if (isPaused && toMs(pausedAt) < expiryMs) {
+      expiryMs += now - toMs(pausedAt);
+    }
+    return new Date(expiryMs);
+  }
+
+  const inOrder = [...pauseIntervals].sort((a, b) => toMs(a.pausedAt) - toMs(b.pausedAt));
+  for (const interval of inOrder) {
+    if (toMs(interval.pausedAt) >= expiryMs) break;
+    const resumedMs = interval.resumedAt ? toMs(interval.resumedAt) : now;
+    expiryMs += Math.max(0, resumedMs - toMs(interval.pausedAt));
+  }
+  return new Date(expiryMs);
+}
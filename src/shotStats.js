@@ -0,0 +1,83 @@
+import { createGameState, getEffectiveEvents } from './gameRules.js';
+
+// Shot-by-shot totals across games, worked out from their event logs
+// (shared by the stats endpoints - the games table only keeps makes and misses)
+
+export function createShotTotals() {
+  return {
+    multiplierMode: { makes: 0, attempts: 0 },
+    pointMode: { makes: 0, attempts: 0 },
+    tipIns: { makes: 0, attempts: 0 },
+    // Keyed by the multiplier the game was at when the shot was taken
+    byMultiplier: {},
+    freebiesUsed: 0,
+    pointModePoints: 0,
+  };
+}
+
+function tally(counts, made) {
+  counts.attempts++;
+  if (made) counts.makes++;
+}
+
+/**
+ * Add one game's shots to running totals (events ordered by sequence number)
+ *
+ * Undone shots don't count. Each event records the state after it happened, so
+ * a shot is credited to the mode and multiplier the game was at before it. A
+ * final shot counts like any other shot.
+ */
+export function addGameShots(totals, gameEvents) {
+  let { mode, multiplier } = createGameState();
+
+  for (const event of getEffectiveEvents(gameEvents)) {
+    const made = isMadeShot(event);
+    if (made !== null) {
+      tally(mode === 'point' ? totals.pointMode : totals.multiplierMode, made);
+      tally(totals.byMultiplier[multiplier] ??= { makes: 0, attempts: 0 }, made);
+      if (event.isTipIn) tally(totals.tipIns, made);
+      if (event.usedFreebie) totals.freebiesUsed++;
+      if (mode === 'point') totals.pointModePoints += event.pointsEarned ?? 0;
+    }
+    mode = event.mode ?? mode;
+    multiplier = event.multiplier ?? multiplier;
+  }
+
+  return totals;
+}
+
+// part as a whole-number percentage of whole (null when whole is zero, e.g. no attempts)
+export function getPercentage(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 100) : null;
+}
+
+// Whether a shot event went in (null for events that aren't shots)
+function isMadeShot(event) {
+  if (event.eventType === 'make') return true;
+  if (event.eventType === 'miss') return false;
+  if (event.eventType === 'final_shot') return event.pointsEarned > 0;
+  return null;
+}
+
+// Most makes in a row in a game (a freebie miss still ends the run)
+export function getLongestMakeStreak(gameEvents) {
+  let longest = 0;
+  let streak = 0;
+  for (const event of getEffectiveEvents(gameEvents)) {
+    const made = isMadeShot(event);
+    if (made === null) continue;
+    streak = made ? streak + 1 : 0;
+    longest = Math.max(longest, streak);
+  }
+  return longest;
+}
+
+// Most lives a game had in hand at once
+export function getMostLives(gameEvents) {
+  return Math.max(0, ...getEffectiveEvents(gameEvents).map(event => event.missesRemaining));
+}
+
+// The event where a game's score first reached `score` (null if it never did)
+export function getScoreReachedEvent(gameEvents, score) {
+  return getEffectiveEvents(gameEvents).find(event => event.score >= score) ?? null;
+}
@@ -149,6 +149,15 @@ export function useAudioFeedback() {
     ]);
   }, [playSequence]);
 
+  // Redo - fast-forward sound
+  const playRedo = useCallback(() => {
+    playSequence([
+      { frequency: 349.23, duration: 0.06, volume: 0.15 }, // F4
+      { frequency: 440, duration: 0.06, delay: 0.02, volume: 0.18 }, // A4
+      { frequency: 523.25, duration: 0.1, delay: 0.02, volume: 0.2 }, // C5
+    ]);
+  }, [playSequence]);
+
   return {
     playMake,
     playMiss,
@@ -162,5 +171,6 @@ export function useAudioFeedback() {
     playPassedTen,
     playPauseToggle,
     playUndo,
+    playRedo,
   };
 }
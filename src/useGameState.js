@@ -1,14 +1,23 @@
 import { useState, useCallback, useEffect, useRef } from 'react';
-
-const INITIAL_MISSES = 3;
-const SESSION_DURATION = 10 * 60; // 10 minutes in seconds
-const FREEBIES_AFTER_TEN = 3;
-const MULTIPLIER_SHOTS = 5;
-
-export function useGameState() {
+import {
+  RULE_PRESETS,
+  DEFAULT_RULE_SET,
+  DEFAULT_RULES,
+  createGameState,
+  applyAction,
+  getActionError,
+  applyFinalShot,
+  rebuildHistory,
+} from './gameRules';
+
+// Without control (another tab controls the session), the timer still counts down but
+// running out doesn't end the session here - the session stream brings the end instead
+export function useGameState({ hasControl = true } = {}) {
   // Session state
   const [sessionActive, setSessionActive] = useState(false);
-  const [timeRemaining, setTimeRemaining] = useState(SESSION_DURATION);
+  const [ruleSet, setRuleSet] = useState(DEFAULT_RULE_SET);
+  const [rules, setRules] = useState(DEFAULT_RULES);
+  const [timeRemaining, setTimeRemaining] = useState(DEFAULT_RULES.sessionDurationSeconds);
   const [sessionHighScore, setSessionHighScore] = useState(0);
   const [paused, setPaused] = useState(false);
 
@@ -18,22 +27,24 @@ export function useGameState() {
   const [finalShotUsed, setFinalShotUsed] = useState(false);
   const finalShotTimerRef = useRef(null);
 
-  // Game state
+  // Game state - the rules themselves live in gameRules.js
   const [gameActive, setGameActive] = useState(false);
-  const [mode, setMode] = useState('multiplier'); // 'multiplier' or 'point'
-  const [score, setScore] = useState(0);
-  const [multiplier, setMultiplier] = useState(1);
-  const [multiplierShotsRemaining, setMultiplierShotsRemaining] = useState(0);
-  const [misses, setMisses] = useState(INITIAL_MISSES);
-  const [freebiesRemaining, setFreebiesRemaining] = useState(0);
-  const [canEnterMultiplierMode, setCanEnterMultiplierMode] = useState(true);
-
-  // Track the last ten threshold passed (0, 10, 20, etc.)
-  const [lastTenThreshold, setLastTenThreshold] = useState(0);
-
-  // History for undo functionality (stores snapshots of game state)
+  const [game, setGame] = useState(() => createGameState());
+  const {
+    mode,
+    score,
+    multiplier,
+    multiplierShotsRemaining,
+    misses,
+    freebiesRemaining,
+    canEnterMultiplierMode,
+  } = game;
+
+  // History for undo/redo (stores snapshots of game state, most recent last)
   const [history, setHistory] = useState([]);
-  const [canUndo, setCanUndo] = useState(false);
+  const [future, setFuture] = useState([]);
+  const canUndo = history.length > 0;
+  const canRedo = future.length > 0;
 
   // Timer ref
   const timerRef = useRef(null);
@@ -41,79 +52,126 @@ export function useGameState() {
   // Hydration flag to prevent double initialization
   const hydratedRef = useRef(false);
 
-  // Hydrate state from server data
-  const hydrateFromServer = useCallback((serverData) => {
-    if (!serverData || hydratedRef.current) return;
-    hydratedRef.current = true;
-
+  // Restore the game (and its undo/redo history) from server data - returns the restored game state
+  const restoreGame = useCallback((serverData) => {
     const {
       gameState,
-      timeRemaining: serverTimeRemaining,
-      isPaused,
       highScore,
       gameIsActive,
       currentGame,
+      rules: serverRules = DEFAULT_RULES,
+      gameEvents = [],
     } = serverData;
 
-    // Set session state
-    setSessionActive(true);
-    setTimeRemaining(serverTimeRemaining ?? SESSION_DURATION);
-    setSessionHighScore(highScore ?? 0);
-    setPaused(isPaused ?? false);
+    const initialState = createGameState(serverRules);
+
+    // Clear history (rebuilt below if the game has an event log)
+    setHistory([]);
+    setFuture([]);
 
     // Set game state based on whether there's an active game
+    if (gameIsActive && gameEvents.length > 0) {
+      // Active game - replay the event log to restore the game and its undo/redo history
+      const rebuilt = rebuildHistory(gameEvents, serverRules);
+      const toSnapshot = (state) => ({ game: state, sessionHighScore: Math.max(highScore ?? 0, state.score) });
+
+      setGameActive(true);
+      setGame(rebuilt.state);
+      setSessionHighScore(Math.max(highScore ?? 0, rebuilt.state.score));
+      setHistory(rebuilt.past.map(toSnapshot));
+      setFuture(rebuilt.future.map(toSnapshot));
+      return rebuilt.state;
+    }
+
+    let restored = initialState;
     if (gameIsActive && gameState) {
-      // Active game - restore full game state
+      // Active game without an event log - restore from the cached state columns
       setGameActive(true);
-      setMode(gameState.mode ?? 'multiplier');
-      setScore(gameState.score ?? 0);
-      setMultiplier(gameState.multiplier ?? 1);
-      setMultiplierShotsRemaining(gameState.multiplierShotsRemaining ?? 0);
-      setMisses(gameState.misses ?? INITIAL_MISSES);
-      setFreebiesRemaining(gameState.freebiesRemaining ?? 0);
-      setLastTenThreshold(Math.floor((gameState.score ?? 0) / 10) * 10);
-      // After passing a 10, can enter multiplier mode
-      setCanEnterMultiplierMode((gameState.freebiesRemaining ?? 0) > 0);
+      restored = {
+        ...initialState,
+        mode: gameState.mode ?? 'multiplier',
+        score: gameState.score ?? 0,
+        multiplier: gameState.multiplier ?? 1,
+        multiplierShotsRemaining: gameState.multiplierShotsRemaining ?? 0,
+        misses: gameState.misses ?? initialState.misses,
+        freebiesRemaining: gameState.freebiesRemaining ?? 0,
+        lastTenThreshold: Math.floor((gameState.score ?? 0) / 10) * 10,
+        // After passing a 10, can enter multiplier mode
+        canEnterMultiplierMode: (gameState.freebiesRemaining ?? 0) > 0,
+      };
     } else if (currentGame && gameState) {
       // Inactive game (game over within session) - show game over state
       setGameActive(false);
       // Restore the score from the last game for display
-      setScore(gameState.finalScore ?? gameState.score ?? 0);
-      setMode(gameState.mode ?? 'point');
-      setMultiplier(gameState.multiplier ?? 1);
-      setMisses(gameState.misses ?? 0);
+      restored = {
+        ...initialState,
+        score: gameState.finalScore ?? gameState.score ?? 0,
+        mode: gameState.mode ?? 'point',
+        multiplier: gameState.multiplier ?? 1,
+        misses: gameState.misses ?? 0,
+      };
     } else {
       // No game exists yet - show game over state to allow starting new game
       setGameActive(false);
-      setScore(0);
     }
 
-    // Clear history when hydrating
-    setHistory([]);
-    setCanUndo(false);
+    setGame(restored);
+    return restored;
   }, []);
 
+  // Hydrate state from server data - returns the restored game state
+  const hydrateFromServer = useCallback((serverData) => {
+    if (!serverData || hydratedRef.current) return null;
+    hydratedRef.current = true;
+
+    const {
+      timeRemaining: serverTimeRemaining,
+      isPaused,
+      highScore,
+      ruleSet: serverRuleSet,
+      rules: serverRules = DEFAULT_RULES,
+    } = serverData;
+
+    // Set session state
+    setSessionActive(true);
+    setRuleSet(serverRuleSet ?? DEFAULT_RULE_SET);
+    setRules(serverRules);
+    setTimeRemaining(serverTimeRemaining ?? serverRules.sessionDurationSeconds);
+    setSessionHighScore(highScore ?? 0);
+    setPaused(isPaused ?? false);
+
+    return restoreGame(serverData);
+  }, [restoreGame]);
+
+  // Apply a live update from another device logging to this session
+  // The game is only restored when includeGame is set (when the server is ahead of this device)
+  const applyServerUpdate = useCallback((serverData, { includeGame = false } = {}) => {
+    if (serverData.sessionEnded) {
+      setSessionActive(false);
+      setGameActive(false);
+      setPaused(false);
+      return null;
+    }
+
+    setPaused(serverData.isPaused ?? false);
+    if (serverData.timeRemaining != null) {
+      setTimeRemaining(serverData.timeRemaining);
+    }
+    setSessionHighScore(prev => Math.max(prev, serverData.highScore ?? 0));
+
+    return includeGame ? restoreGame(serverData) : null;
+  }, [restoreGame]);
+
   // Reset hydration flag when session ends
   const resetHydration = useCallback(() => {
     hydratedRef.current = false;
   }, []);
 
-  // Save current game state to history before an action
+  // Save current game state to history before an action (a new action clears redo)
   const saveToHistory = useCallback(() => {
-    const snapshot = {
-      mode,
-      score,
-      multiplier,
-      multiplierShotsRemaining,
-      misses,
-      freebiesRemaining,
-      canEnterMultiplierMode,
-      lastTenThreshold,
-      sessionHighScore,
-    };
-    setHistory(prev => [...prev.slice(-19), snapshot]); // Keep last 20 states
-    setCanUndo(true);
-  }, [mode, score, multiplier, multiplierShotsRemaining, misses, freebiesRemaining, canEnterMultiplierMode, lastTenThreshold, sessionHighScore]);
+    setHistory(prev => [...prev, { game, sessionHighScore }]);
+    setFuture([]);
+  }, [game, sessionHighScore]);
 
   // Undo the last action
   const undo = useCallback(() => {
@@ -121,46 +179,55 @@ export function useGameState() {
 
     const prevState = history[history.length - 1];
     setHistory(prev => prev.slice(0, -1));
+    setFuture(prev => [...prev, { game, sessionHighScore }]);
 
     // Restore state
-    setMode(prevState.mode);
-    setScore(prevState.score);
-    setMultiplier(prevState.multiplier);
-    setMultiplierShotsRemaining(prevState.multiplierShotsRemaining);
-    setMisses(prevState.misses);
-    setFreebiesRemaining(prevState.freebiesRemaining);
-    setCanEnterMultiplierMode(prevState.canEnterMultiplierMode);
-    setLastTenThreshold(prevState.lastTenThreshold);
+    setGame(prevState.game);
     setSessionHighScore(prevState.sessionHighScore);
+    return true;
+  }, [history, gameActive, game, sessionHighScore]);
+
+  // Redo the last undone action
+  const redo = useCallback(() => {
+    if (future.length === 0 || !gameActive) return false;
+
+    const nextState = future[future.length - 1];
+    setFuture(prev => prev.slice(0, -1));
+    setHistory(prev => [...prev, { game, sessionHighScore }]);
 
-    setCanUndo(history.length > 1);
+    // Restore state
+    setGame(nextState.game);
+    setSessionHighScore(nextState.sessionHighScore);
     return true;
-  }, [history, gameActive]);
+  }, [future, gameActive, game, sessionHighScore]);
 
   // Clear history when starting new game
   const clearHistory = useCallback(() => {
     setHistory([]);
-    setCanUndo(false);
+    setFuture([]);
   }, []);
 
-  // Start a new game within a session
-  const startNewGame = useCallback(() => {
+  // Reset to a fresh game under the given rules
+  const beginGame = useCallback((gameRules) => {
     clearHistory();
     setGameActive(true);
-    setMode('multiplier');
-    setScore(0);
-    setMultiplier(1);
-    setMultiplierShotsRemaining(0);
-    setMisses(INITIAL_MISSES);
-    setFreebiesRemaining(0);
-    setCanEnterMultiplierMode(true);
-    setLastTenThreshold(0);
+    setGame(createGameState(gameRules));
   }, [clearHistory]);
 
-  // Start a new session
-  const startSession = useCallback(() => {
+  // Start a new game within a session
+  const startNewGame = useCallback(() => {
+    beginGame(rules);
+  }, [beginGame, rules]);
+
+  // Start a new session with one of the named rule presets
+  const startSession = useCallback((nextRuleSet) => {
+    const presetKey = RULE_PRESETS[nextRuleSet] ? nextRuleSet : DEFAULT_RULE_SET;
+    const presetRules = RULE_PRESETS[presetKey].rules;
+
+    setRuleSet(presetKey);
+    setRules(presetRules);
     setSessionActive(true);
-    setTimeRemaining(SESSION_DURATION);
+    setTimeRemaining(presetRules.sessionDurationSeconds);
     setSessionHighScore(0);
     setSessionEndedByTimer(false);
     setFinalShotAvailable(false);
@@ -168,8 +235,8 @@ export function useGameState() {
     if (finalShotTimerRef.current) {
       clearTimeout(finalShotTimerRef.current);
     }
-    startNewGame();
-  }, [startNewGame]);
+    beginGame(presetRules);
+  }, [beginGame]);
 
   // End the current game
   const endGame = useCallback(() => {
@@ -209,7 +276,7 @@ export function useGameState() {
       }, 1000);
 
       return () => clearInterval(timerRef.current);
-    } else if (timeRemaining === 0 && sessionActive) {
+    } else if (timeRemaining === 0 && sessionActive && hasControl) {
       // Session ended due to timer - enable final shot window
       // eslint-disable-next-line react-hooks/set-state-in-effect
       setSessionEndedByTimer(true);
@@ -222,7 +289,7 @@ export function useGameState() {
         setFinalShotAvailable(false);
       }, 60000);
     }
-  }, [sessionActive, timeRemaining, paused, endSession]);
+  }, [sessionActive, timeRemaining, paused, hasControl, endSession]);
 
   // Cleanup final shot timer
   useEffect(() => {
@@ -233,151 +300,47 @@ export function useGameState() {
     };
   }, []);
 
-  // Calculate misses to add when passing tens
-  const calculateMissesGained = (prevScore, newScore) => {
-    const prevTens = Math.floor(prevScore / 10);
-    const newTens = Math.floor(newScore / 10);
-    return newTens - prevTens;
-  };
-
-  // Handle making a shot
-  const makeShot = useCallback(() => {
-    if (!gameActive) return;
+  // Run an action through the rules engine, saving an undo snapshot first
+  const dispatch = useCallback((action) => {
+    if (!gameActive || getActionError(game, action)) return null;
 
     saveToHistory();
 
-    if (mode === 'multiplier') {
-      // In multiplier mode, making a shot increases the multiplier
-      setMultiplier(prev => prev + 1);
-    } else {
-      // In point mode, score points
-      const prevScore = score;
-      const pointsToAdd = multiplierShotsRemaining > 0 ? multiplier : 1;
-      const newScore = score + pointsToAdd;
-
-      console.log('[makeShot] Scoring:', { prevScore, pointsToAdd, newScore, multiplier, multiplierShotsRemaining });
-
-      setScore(newScore);
-
-      // Decrease multiplier shots if using multiplier
-      if (multiplierShotsRemaining > 0) {
-        const newMultiplierShots = multiplierShotsRemaining - 1;
-        setMultiplierShotsRemaining(newMultiplierShots);
-        // If multiplier shots run out, reset multiplier to 1
-        if (newMultiplierShots <= 0) {
-          setMultiplier(1);
-        }
-      }
-
-      // Check if we passed a multiple of 10
-      const missesGained = calculateMissesGained(prevScore, newScore);
-      console.log('[makeShot] Lives check:', { prevScore, newScore, missesGained, currentMisses: misses });
-      if (missesGained > 0) {
-        setMisses(prev => {
-          const newMisses = prev + missesGained;
-          console.log('[makeShot] Adding lives:', { prev, missesGained, newMisses });
-          return newMisses;
-        });
-        setFreebiesRemaining(FREEBIES_AFTER_TEN);
-        setCanEnterMultiplierMode(true);
-        setLastTenThreshold(Math.floor(newScore / 10) * 10);
-      } else {
-        // Making a shot clears freebies (they only protect misses right after passing a 10)
-        setFreebiesRemaining(0);
-        setCanEnterMultiplierMode(false);
-      }
+    const result = applyAction(game, action, rules);
+    setGame(result.state);
+    setSessionHighScore(prev => Math.max(prev, result.state.score));
 
-      // Update high score
-      setSessionHighScore(prev => Math.max(prev, newScore));
+    if (result.gameOver) {
+      endGame();
     }
-  }, [gameActive, mode, score, multiplier, multiplierShotsRemaining, misses, saveToHistory]);
 
-  // Handle missing a shot
-  const missShot = useCallback(() => {
-    if (!gameActive) return;
-
-    saveToHistory();
+    return result;
+  }, [gameActive, game, rules, saveToHistory, endGame]);
 
-    if (mode === 'multiplier') {
-      // In multiplier mode, missing costs a miss
-      const newMisses = misses - 1;
-      setMisses(newMisses);
-
-      if (newMisses <= 0) {
-        endGame();
-      }
-    } else {
-      // In point mode, misses also use up multiplier shots
-      if (multiplierShotsRemaining > 0) {
-        const newMultiplierShots = multiplierShotsRemaining - 1;
-        setMultiplierShotsRemaining(newMultiplierShots);
-        // If multiplier shots run out, reset multiplier to 1
-        if (newMultiplierShots <= 0) {
-          setMultiplier(1);
-        }
-      }
+  // Handle making a shot
+  const makeShot = useCallback(() => dispatch({ type: 'make' }), [dispatch]);
 
-      // Check for freebies
-      if (freebiesRemaining > 0) {
-        const newFreebies = freebiesRemaining - 1;
-        setFreebiesRemaining(newFreebies);
-        // Only forfeit multiplier mode entry when freebies are exhausted
-        if (newFreebies <= 0) {
-          setCanEnterMultiplierMode(false);
-        }
-      } else {
-        // No freebies, spend a miss
-        const newMisses = misses - 1;
-        setMisses(newMisses);
-
-        if (newMisses <= 0) {
-          endGame();
-        }
-      }
-    }
-  }, [gameActive, mode, misses, freebiesRemaining, multiplierShotsRemaining, endGame, saveToHistory]);
+  // Handle missing a shot
+  const missShot = useCallback(() => dispatch({ type: 'miss' }), [dispatch]);
 
   // Switch to point mode (from multiplier mode)
-  const enterPointMode = useCallback(() => {
-    if (mode !== 'multiplier') return;
-
-    saveToHistory();
-
-    setMode('point');
-    // Set multiplier shots to 5 if multiplier > 1
-    if (multiplier > 1) {
-      setMultiplierShotsRemaining(MULTIPLIER_SHOTS);
-    }
-    setCanEnterMultiplierMode(false);
-    setFreebiesRemaining(FREEBIES_AFTER_TEN); // Start of game, at "0" threshold
-  }, [mode, multiplier, saveToHistory]);
+  const enterPointMode = useCallback(() => dispatch({ type: 'enter_point_mode' }), [dispatch]);
 
   // Switch to multiplier mode (from point mode, when allowed)
-  const enterMultiplierMode = useCallback(() => {
-    if (!canEnterMultiplierMode || mode !== 'point') return;
-
-    saveToHistory();
-
-    setMode('multiplier');
-    setMultiplier(1); // Reset multiplier when entering multiplier mode
-    setFreebiesRemaining(0);
-  }, [canEnterMultiplierMode, mode, saveToHistory]);
+  const enterMultiplierMode = useCallback(() => dispatch({ type: 'enter_multiplier_mode' }), [dispatch]);
 
   // Continue shooting in point mode (forfeit multiplier mode entry)
-  const continueInPointMode = useCallback(() => {
-    if (!canEnterMultiplierMode || mode !== 'point') return;
-    setCanEnterMultiplierMode(false);
-  }, [canEnterMultiplierMode, mode]);
+  const continueInPointMode = useCallback(() => dispatch({ type: 'continue_in_point_mode' }), [dispatch]);
 
   // Add a final make after session timer expired
   const addFinalMake = useCallback(() => {
     if (!finalShotAvailable || finalShotUsed) return null;
 
-    // Calculate points to add (use current mode logic)
-    const pointsToAdd = multiplierShotsRemaining > 0 ? multiplier : 1;
-    const newScore = score + pointsToAdd;
+    // Same scoring the server applies to the final_shot event
+    const { state: finalState, pointsEarned: pointsToAdd } = applyFinalShot(game, true);
+    const newScore = finalState.score;
 
-    setScore(newScore);
+    setGame(finalState);
     setSessionHighScore(prev => Math.max(prev, newScore));
     setFinalShotUsed(true);
     setFinalShotAvailable(false);
@@ -387,7 +350,7 @@ export function useGameState() {
     }
 
     return { pointsAdded: pointsToAdd, newScore };
-  }, [finalShotAvailable, finalShotUsed, score, multiplier, multiplierShotsRemaining]);
+  }, [finalShotAvailable, finalShotUsed, game]);
 
   // Add a final miss after session timer expired
   const addFinalMiss = useCallback(() => {
@@ -407,6 +370,8 @@ export function useGameState() {
   return {
     // Session state
     sessionActive,
+    ruleSet,
+    rules,
     timeRemaining,
     sessionHighScore,
     paused,
@@ -426,6 +391,7 @@ export function useGameState() {
     freebiesRemaining,
     canEnterMultiplierMode,
     canUndo,
+    canRedo,
 
     // Actions
     startSession,
@@ -438,10 +404,12 @@ export function useGameState() {
     enterMultiplierMode,
     continueInPointMode,
     undo,
+    redo,
     addFinalMake,
     addFinalMiss,
     // Hydration
     hydrateFromServer,
+    applyServerUpdate,
     resetHydration,
   };
 }
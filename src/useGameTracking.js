@@ -1,154 +1,156 @@
 import { useRef, useCallback } from 'react';
+import { getUndoRedoStacks } from './gameRules';
+import { queueWrite } from './outbox';
+import { getControllerId } from './controllerId';
 
 // Hook for tracking game data to the database
+//
+// Every write goes through the outbox, so IDs are generated here rather than by
+// the server - that way games and events can be recorded before the writes that
+// create their session or game have been sent. Each write carries this tab's
+// controller ID, so the server can reject writes from a tab that lost control.
 export function useGameTracking() {
   const sessionIdRef = useRef(null);
-  const sessionPromiseRef = useRef(null);
   const gameIdRef = useRef(null);
-  const gamePromiseRef = useRef(null);
-  const sequenceNumberRef = useRef(0);
-  const pendingEventsRef = useRef([]);
+  // The most recently ended game (for the post-buzzer final shot)
+  const lastEndedGameIdRef = useRef(null);
+  const sequenceNumberRef = useRef(1);
+  // Sequence numbers of recorded actions that are still in effect (what undo retracts)
+  const undoStackRef = useRef([]);
+  // Undos that can be reversed: { undoSequenceNumber, retractsSequenceNumber }
+  const redoStackRef = useRef([]);
   const gameStartTimeRef = useRef(null);
   const statsRef = useRef({ makes: 0, misses: 0, highMultiplier: 1 });
 
-  // Create a new session in the database
-  const createSession = useCallback(async () => {
-    const promise = (async () => {
-      try {
-        const response = await fetch('/api/session', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ durationSeconds: 600 }),
-        });
-        const data = await response.json();
-        if (data.session) {
-          sessionIdRef.current = data.session.id;
-          return data.session.id;
-        }
-      } catch (error) {
-        console.error('Failed to create session:', error);
-      }
-      return null;
-    })();
-
-    sessionPromiseRef.current = promise;
-    return promise;
+  // Queue a write, logging if it couldn't even be saved locally
+  const sendWrite = useCallback(async (write, options) => {
+    try {
+      await queueWrite({ ...write, body: { ...write.body, controllerId: getControllerId() } }, options);
+    } catch (error) {
+      console.error('Failed to queue write:', error);
+    }
   }, []);
 
+  // Create a new session in the database - resolves to the new session's ID
+  // playerIds are the session's players in turn order (empty for a session without named players)
+  const createSession = useCallback(async (ruleSet, { playerIds = [], rotatePlayers = false } = {}) => {
+    const sessionId = crypto.randomUUID();
+    sessionIdRef.current = sessionId;
+
+    await sendWrite({
+      url: '/api/session',
+      method: 'POST',
+      body: { id: sessionId, ruleSet, startedAt: new Date().toISOString(), playerIds, rotatePlayers },
+    });
+    return sessionId;
+  }, [sendWrite]);
+
   // End the current session
   const endSessionTracking = useCallback(async () => {
     if (!sessionIdRef.current) return;
 
-    try {
-      await fetch('/api/session', {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          sessionId: sessionIdRef.current,
-          ended: true,
-        }),
-      });
-    } catch (error) {
-      console.error('Failed to end session:', error);
-    } finally {
-      sessionIdRef.current = null;
-    }
-  }, []);
-
-  // Create a new game in the database
-  const createGame = useCallback(async () => {
-    const promise = (async () => {
-      // Wait for session to be created if it's still pending
-      if (!sessionIdRef.current && sessionPromiseRef.current) {
-        await sessionPromiseRef.current;
-      }
+    const sessionId = sessionIdRef.current;
+    sessionIdRef.current = null;
 
-      if (!sessionIdRef.current) {
-        console.error('Failed to create game: no session ID');
-        return null;
-      }
+    await sendWrite({
+      url: '/api/session',
+      method: 'PUT',
+      body: {
+        sessionId,
+        ended: true,
+        endedAt: new Date().toISOString(),
+      },
+    });
+  }, [sendWrite]);
 
-      try {
-        const response = await fetch('/api/game', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ sessionId: sessionIdRef.current }),
-        });
-        const data = await response.json();
-        if (data.game) {
-          gameIdRef.current = data.game.id;
-          sequenceNumberRef.current = 0;
-          pendingEventsRef.current = [];
-          gameStartTimeRef.current = Date.now();
-          statsRef.current = { makes: 0, misses: 0, highMultiplier: 1 };
-          return data.game.id;
-        }
-      } catch (error) {
-        console.error('Failed to create game:', error);
-      }
+  // Create a new game in the database, shot by playerId (if the session has players) - resolves to the new game's ID
+  const createGame = useCallback(async (playerId = null) => {
+    if (!sessionIdRef.current) {
+      console.error('Failed to create game: no session ID');
       return null;
-    })();
+    }
 
-    gamePromiseRef.current = promise;
-    return promise;
-  }, []);
+    const gameId = crypto.randomUUID();
+    gameIdRef.current = gameId;
+    gameStartTimeRef.current = Date.now();
+    statsRef.current = { makes: 0, misses: 0, highMultiplier: 1 };
+    // The server writes game_start as sequence 0
+    sequenceNumberRef.current = 1;
+    undoStackRef.current = [];
+    redoStackRef.current = [];
+
+    await sendWrite({
+      url: '/api/game',
+      method: 'POST',
+      body: {
+        id: gameId,
+        sessionId: sessionIdRef.current,
+        startedAt: new Date(gameStartTimeRef.current).toISOString(),
+        playerId,
+      },
+    });
+    return gameId;
+  }, [sendWrite]);
 
   // End the current game
   const endGameTracking = useCallback(async (finalScore, endReason) => {
-    // Wait for game to be created if it's still pending
-    if (!gameIdRef.current && gamePromiseRef.current) {
-      await gamePromiseRef.current;
-    }
-
     if (!gameIdRef.current) {
       console.error('Failed to end game: no game ID');
       return;
     }
 
+    const gameId = gameIdRef.current;
     const durationSeconds = gameStartTimeRef.current
       ? Math.floor((Date.now() - gameStartTimeRef.current) / 1000)
       : 0;
 
-    try {
-      // First flush any pending events
-      if (pendingEventsRef.current.length > 0) {
-        await fetch('/api/event', {
-          method: 'PUT',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ events: pendingEventsRef.current }),
-        });
-        pendingEventsRef.current = [];
-      }
+    gameIdRef.current = null;
+    gameStartTimeRef.current = null;
+    lastEndedGameIdRef.current = gameId;
 
-      // Then update the game
-      await fetch('/api/game', {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          gameId: gameIdRef.current,
-          finalScore,
-          highMultiplier: statsRef.current.highMultiplier,
-          totalMakes: statsRef.current.makes,
-          totalMisses: statsRef.current.misses,
-          durationSeconds,
-          endReason,
-          ended: true,
-        }),
-      });
-    } catch (error) {
-      console.error('Failed to end game:', error);
-    } finally {
-      gameIdRef.current = null;
-      gameStartTimeRef.current = null;
-    }
-  }, []);
+    await sendWrite({
+      url: '/api/game',
+      method: 'PUT',
+      body: {
+        gameId,
+        finalScore,
+        highMultiplier: statsRef.current.highMultiplier,
+        totalMakes: statsRef.current.makes,
+        totalMisses: statsRef.current.misses,
+        durationSeconds,
+        endReason,
+        ended: true,
+        endedAt: new Date().toISOString(),
+      },
+    });
+  }, [sendWrite]);
 
-  // Queue for events that arrive before game is created
-  const earlyEventsRef = useRef([]);
+  // Queue an event for a game, numbered in the order it was recorded
+  // The ID lets the server recognize the event if the write is retried
+  const queueEvent = useCallback((gameId, eventData) => {
+    const sequenceNumber = sequenceNumberRef.current++;
+    sendWrite({
+      url: '/api/event',
+      method: 'PUT',
+      batch: 'events',
+      body: {
+        id: crypto.randomUUID(),
+        gameId,
+        sequenceNumber,
+        occurredAt: new Date().toISOString(),
+        ...eventData,
+      },
+    });
+    return sequenceNumber;
+  }, [sendWrite]);
 
   // Record an event
   const recordEvent = useCallback((eventData) => {
-    // Track stats immediately (before we know game ID)
+    if (!gameIdRef.current) {
+      console.error('Failed to record event: no game ID');
+      return null;
+    }
+
     if (eventData.eventType === 'make') {
       statsRef.current.makes++;
       if (eventData.multiplier > statsRef.current.highMultiplier) {
@@ -158,66 +160,15 @@ export function useGameTracking() {
       statsRef.current.misses++;
     }
 
-    // If game isn't created yet, queue the event and wait
-    if (!gameIdRef.current) {
-      earlyEventsRef.current.push(eventData);
-
-      // Start waiting for game to be created
-      if (gamePromiseRef.current) {
-        gamePromiseRef.current.then(() => {
-          if (gameIdRef.current && earlyEventsRef.current.length > 0) {
-            // Process queued events
-            const queuedEvents = earlyEventsRef.current.map((data) => ({
-              gameId: gameIdRef.current,
-              sequenceNumber: sequenceNumberRef.current++,
-              ...data,
-            }));
-            earlyEventsRef.current = [];
-            pendingEventsRef.current.push(...queuedEvents);
-
-            // Send them
-            const eventsToSend = [...pendingEventsRef.current];
-            pendingEventsRef.current = [];
-            fetch('/api/event', {
-              method: 'PUT',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ events: eventsToSend }),
-            }).catch(error => {
-              console.error('Failed to record events:', error);
-              pendingEventsRef.current = [...eventsToSend, ...pendingEventsRef.current];
-            });
-          }
-        });
-      }
-      return;
-    }
+    const sequenceNumber = queueEvent(gameIdRef.current, eventData);
 
-    const event = {
-      gameId: gameIdRef.current,
-      sequenceNumber: sequenceNumberRef.current++,
-      ...eventData,
-    };
-
-    // Add to pending events
-    pendingEventsRef.current.push(event);
-
-    // Batch send events (every 5 events or immediately for important events)
-    const importantEvents = ['game_start', 'game_end', 'mode_change'];
-    if (pendingEventsRef.current.length >= 5 || importantEvents.includes(eventData.eventType)) {
-      const eventsToSend = [...pendingEventsRef.current];
-      pendingEventsRef.current = [];
-
-      fetch('/api/event', {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ events: eventsToSend }),
-      }).catch(error => {
-        console.error('Failed to record events:', error);
-        // Put events back for retry
-        pendingEventsRef.current = [...eventsToSend, ...pendingEventsRef.current];
-      });
+    // Remember actions so they can be undone (a new action can't be followed by a redo)
+    if (['make', 'miss', 'mode_change'].includes(eventData.eventType)) {
+      undoStackRef.current.push(sequenceNumber);
+      redoStackRef.current = [];
     }
-  }, []);
+    return sequenceNumber;
+  }, [queueEvent]);
 
   // Helper to record a make event
   const recordMake = useCallback((state, isTipIn = false) => {
@@ -264,48 +215,70 @@ export function useGameTracking() {
     });
   }, [recordEvent]);
 
-  // Sync current game state to server (for persistence)
+  // Record an undo as an event that retracts the most recent action
+  const recordUndo = useCallback(() => {
+    const retractsSequenceNumber = undoStackRef.current.pop();
+    if (retractsSequenceNumber === undefined) return;
+
+    const undoSequenceNumber = recordEvent({
+      eventType: 'undo',
+      retractsSequenceNumber,
+    });
+    redoStackRef.current.push({ undoSequenceNumber, retractsSequenceNumber });
+  }, [recordEvent]);
+
+  // Record a redo as an event that reverses the most recent undo
+  const recordRedo = useCallback(() => {
+    const undone = redoStackRef.current.pop();
+    if (!undone) return;
+
+    recordEvent({
+      eventType: 'redo',
+      retractsSequenceNumber: undone.undoSequenceNumber,
+    });
+    undoStackRef.current.push(undone.retractsSequenceNumber);
+  }, [recordEvent]);
+
+  // Record the post-buzzer final shot against the game that just ended
+  const recordFinalShot = useCallback((made) => {
+    if (!lastEndedGameIdRef.current) {
+      console.error('Failed to record final shot: no ended game');
+      return;
+    }
+
+    queueEvent(lastEndedGameIdRef.current, { eventType: 'final_shot', made });
+  }, [queueEvent]);
+
+  // Sync current game state to server (for persistence) - only the latest state is kept in the outbox
   const syncGameState = useCallback(async (state) => {
     if (!gameIdRef.current) return;
 
-    try {
-      await fetch('/api/game', {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          gameId: gameIdRef.current,
-          currentScore: state.score,
-          currentMultiplier: state.multiplier,
-          currentMultiplierShotsRemaining: state.multiplierShotsRemaining,
-          currentMisses: state.misses,
-          currentFreebiesRemaining: state.freebiesRemaining,
-          currentMode: state.mode,
-        }),
-      });
-    } catch (error) {
-      console.error('Failed to sync game state:', error);
-    }
-  }, []);
+    const gameId = gameIdRef.current;
+    await sendWrite({
+      url: '/api/game',
+      method: 'PUT',
+      body: {
+        gameId,
+        currentScore: state.score,
+        currentMultiplier: state.multiplier,
+        currentMultiplierShotsRemaining: state.multiplierShotsRemaining,
+        currentMisses: state.misses,
+        currentFreebiesRemaining: state.freebiesRemaining,
+        currentMode: state.mode,
+      },
+    }, { replaceKey: `game-state:${gameId}` });
+  }, [sendWrite]);
 
-  // Sync session pause state to server
-  const syncSessionPause = useCallback(async (isPaused, pausedAt, totalPausedMs) => {
+  // Record the session being paused or resumed - the server keeps each pause as an interval
+  const recordPause = useCallback(async (isPaused) => {
     if (!sessionIdRef.current) return;
 
-    try {
-      await fetch('/api/session', {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          sessionId: sessionIdRef.current,
-          isPaused,
-          pausedAt: pausedAt ? new Date(pausedAt).toISOString() : null,
-          totalPausedMs,
-        }),
-      });
-    } catch (error) {
-      console.error('Failed to sync session pause state:', error);
-    }
-  }, []);
+    const sessionId = sessionIdRef.current;
+    const at = new Date().toISOString();
+    await sendWrite(isPaused
+      ? { url: '/api/session/pause', method: 'POST', body: { id: crypto.randomUUID(), sessionId, pausedAt: at } }
+      : { url: '/api/session/pause', method: 'PUT', body: { sessionId, resumedAt: at } });
+  }, [sendWrite]);
 
   return {
     createSession,
@@ -315,15 +288,36 @@ export function useGameTracking() {
     recordMake,
     recordMiss,
     recordModeChange,
+    recordUndo,
+    recordRedo,
+    recordFinalShot,
     syncGameState,
-    syncSessionPause,
+    recordPause,
     // Expose refs for checking state
     hasActiveSession: () => !!sessionIdRef.current,
     hasActiveGame: () => !!gameIdRef.current,
     getSessionId: () => sessionIdRef.current,
     getGameId: () => gameIdRef.current,
+    // Where this device is up to, for telling whether a live update from the server is news
+    getTrackedGame: () => ({
+      gameId: gameIdRef.current,
+      lastEndedGameId: lastEndedGameIdRef.current,
+      lastSequenceNumber: sequenceNumberRef.current - 1,
+    }),
     // For hydration
     setSessionId: (id) => { sessionIdRef.current = id; },
     setGameId: (id) => { gameIdRef.current = id; },
+    setLastEndedGameId: (id) => { lastEndedGameIdRef.current = id; },
+    // Continue the sequence and undo/redo stacks from the game's persisted event log
+    restoreGameEvents: (gameEvents) => {
+      const { undoStack, redoStack } = getUndoRedoStacks(gameEvents);
+      const lastEvent = gameEvents[gameEvents.length - 1];
+      sequenceNumberRef.current = lastEvent ? lastEvent.sequenceNumber + 1 : 1;
+      undoStackRef.current = undoStack.map(e => e.sequenceNumber);
+      redoStackRef.current = redoStack.map(e => ({
+        undoSequenceNumber: e.sequenceNumber,
+        retractsSequenceNumber: e.retractsSequenceNumber,
+      }));
+    },
   };
 }
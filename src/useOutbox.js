@@ -0,0 +1,29 @@
+import { useState, useEffect } from 'react';
+import { discardRejectedWrites, flushOutbox, getOutboxStatus, retryRejectedWrites, subscribeToOutbox } from './outbox';
+
+const EMPTY_STATUS = { unsyncedCount: 0, rejectedCount: 0, rejectionError: null };
+
+// Hook that keeps the outbox flowing and reports how many writes haven't reached the server
+// (and how many the server rejected, which wait for a retry or discard)
+export function useOutbox() {
+  const [status, setStatus] = useState(EMPTY_STATUS);
+
+  useEffect(() => {
+    const unsubscribe = subscribeToOutbox(setStatus);
+
+    getOutboxStatus()
+      .then(setStatus)
+      .catch((error) => console.error('Failed to read outbox:', error));
+
+    // Send anything left over from an earlier visit, and resume whenever the connection comes back
+    flushOutbox();
+    window.addEventListener('online', flushOutbox);
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener('online', flushOutbox);
+    };
+  }, []);
+
+  return { ...status, retryRejectedWrites, discardRejectedWrites };
+}
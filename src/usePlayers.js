@@ -0,0 +1,50 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// Hook for the list of players to pick from before a session
+// Adding a player needs a connection (unlike shots, players aren't queued in the outbox)
+export function usePlayers() {
+  const [players, setPlayers] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch('/api/player')
+      .then(response => response.json())
+      .then((data) => {
+        if (!cancelled) setPlayers(data.players ?? []);
+      })
+      .catch((err) => {
+        console.error('Failed to fetch players:', err);
+        if (!cancelled) setError('Players are unavailable offline');
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Add a player - resolves to the new player, or null if it couldn't be added
+  const addPlayer = useCallback(async (name) => {
+    try {
+      const response = await fetch('/api/player', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ id: crypto.randomUUID(), name }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        setError(data.error || 'Failed to add player');
+        return null;
+      }
+
+      setError(null);
+      setPlayers(prev => [...prev, data.player].sort((a, b) => a.name.localeCompare(b.name)));
+      return data.player;
+    } catch (err) {
+      console.error('Failed to add player:', err);
+      setError('Not connected - try again in a moment');
+      return null;
+    }
+  }, []);
+
+  return { players, error, addPlayer };
+}
@@ -1,11 +1,33 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getSessionRules } from './gameRules';
+import { getTimeRemaining, getPauseSummary } from './sessionClock';
+import { flushOutbox } from './outbox';
 
 // Hook for fetching and syncing game state with the server
-export function useServerState(sessionId) {
+//
+// Once the session is loaded it stays live: the session stream pushes a fresh
+// copy of the state whenever any device changes the session. Pass fetchInitialState
+// false for a session this tab just started - the stream still runs, but there's
+// nothing to load up front (and the server may not have the session yet).
+// Pass controllerId (the scoreboard) to keep this tab's controller lease renewed,
+// and onCommand to receive actions sent from a paired remote while it holds the lease.
+export function useServerState(sessionId, { fetchInitialState = true, controllerId, onCommand } = {}) {
   const [loading, setLoading] = useState(!!sessionId);
   const [error, setError] = useState(null);
   const [serverState, setServerState] = useState(null);
 
+  // Latest command handler, so a new callback doesn't reopen the stream
+  const onCommandRef = useRef(onCommand);
+  useEffect(() => {
+    onCommandRef.current = onCommand;
+  }, [onCommand]);
+
+  // Commands already carried out - the stream can send a command again if a connection dropped
+  const seenCommandIdsRef = useRef(new Set());
+
+  // With controllerId, the server says whether this tab is the session's controller
+  const query = controllerId ? `id=${sessionId}&controller=${controllerId}` : `id=${sessionId}`;
+
   // Fetch session state from server
   const fetchSessionState = useCallback(async () => {
     if (!sessionId) {
@@ -17,7 +39,10 @@ export function useServerState(sessionId) {
     setError(null);
 
     try {
-      const response = await fetch(`/api/session?id=${sessionId}`);
+      // Send anything still queued first, so the server has the latest shots
+      await flushOutbox();
+
+      const response = await fetch(`/api/session?${query}`);
       if (!response.ok) {
         throw new Error('Failed to fetch session');
       }
@@ -31,29 +56,39 @@ export function useServerState(sessionId) {
       setLoading(false);
       return null;
     }
-  }, [sessionId]);
+  }, [sessionId, query]);
 
   // Fetch on mount if sessionId is provided
   useEffect(() => {
-    if (sessionId) {
+    if (sessionId && fetchInitialState) {
       fetchSessionState();
     }
-  }, [sessionId, fetchSessionState]);
+  }, [sessionId, fetchInitialState, fetchSessionState]);
 
-  // Update session state on server (pause/resume)
-  const updateSessionState = useCallback(async (updates) => {
-    if (!sessionId) return;
+  // Live updates once the initial state has loaded (EventSource reconnects by itself)
+  useEffect(() => {
+    if (!sessionId || loading) return;
+
+    const source = new EventSource(`/api/session/stream?${query}`);
+    source.addEventListener('command', (event) => {
+      const command = JSON.parse(event.data);
+      if (seenCommandIdsRef.current.has(command.id)) return;
+      seenCommandIdsRef.current.add(command.id);
+      onCommandRef.current?.(command.action);
+    });
+    source.addEventListener('state', (event) => {
+      const data = JSON.parse(event.data);
+      setServerState(data);
+      setError(null);
 
-    try {
-      await fetch('/api/session', {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ sessionId, ...updates }),
-      });
-    } catch (err) {
-      console.error('Failed to update session state:', err);
-    }
-  }, [sessionId]);
+      // An ended session won't change again
+      if (data.isEnded) {
+        source.close();
+      }
+    });
+
+    return () => source.close();
+  }, [sessionId, loading, query]);
 
   // Update game state on server
   const updateGameState = useCallback(async (gameId, updates) => {
@@ -75,48 +110,26 @@ export function useServerState(sessionId) {
     error,
     serverState,
     fetchSessionState,
-    updateSessionState,
     updateGameState,
   };
 }
 
-// Calculate time remaining from server timestamps
-export function calculateTimeRemaining(session) {
-  if (!session || session.endedAt) {
-    return 0;
-  }
-
-  const now = Date.now();
-  const startedAtMs = new Date(session.startedAt).getTime();
-  const durationMs = session.durationSeconds * 1000;
-  const totalPausedMs = session.totalPausedMs || 0;
-
-  let elapsedMs;
-  if (session.isPaused && session.pausedAt) {
-    // If paused, calculate elapsed up to pause time
-    elapsedMs = new Date(session.pausedAt).getTime() - startedAtMs - totalPausedMs;
-  } else {
-    // If running, calculate elapsed up to now
-    elapsedMs = now - startedAtMs - totalPausedMs;
-  }
-
-  return Math.max(0, Math.floor((durationMs - elapsedMs) / 1000));
-}
-
 // Convert server state to game state format
 export function serverStateToGameState(serverState) {
   if (!serverState || !serverState.session) {
     return null;
   }
 
-  const { session, currentGame, timeRemaining, isEnded, games = [] } = serverState;
+  const { session, players = [], currentGame, currentGameEvents = [], pauseIntervals = [], timeRemaining, isEnded, games = [] } = serverState;
 
   // If session is ended, return read-only state
   if (isEnded) {
     return {
       sessionEnded: true,
       session,
+      players,
       games,
+      pauseIntervals,
     };
   }
 
@@ -145,14 +158,18 @@ export function serverStateToGameState(serverState) {
   return {
     sessionEnded: false,
     session,
+    ruleSet: session.ruleSet,
+    rules: getSessionRules(session),
     currentGame: mostRecentGame,
+    gameEvents: currentGameEvents,
     gameState,
     gameIsActive,
-    timeRemaining: timeRemaining ?? calculateTimeRemaining(session),
-    isPaused: session.isPaused,
-    pausedAt: session.pausedAt,
-    totalPausedMs: session.totalPausedMs || 0,
+    timeRemaining: timeRemaining ?? getTimeRemaining(session, pauseIntervals),
+    isPaused: getPauseSummary(session, pauseIntervals).isPaused,
     highScore: session.highScore,
+    // Players in turn order, and whether turns rotate after each game
+    players,
+    rotatePlayers: session.rotatePlayers ?? false,
     games,
     // Session stats for hydration
     totalGames: games.length,
@@ -0,0 +1,61 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getControllerId } from './controllerId';
+
+// Hook for the session's controller lease - only one tab at a time may change a session
+//
+// A tab opening a session claims it unless another tab still holds the lease;
+// in that case this tab is read-only until the user takes control. The session
+// stream keeps the lease renewed and shows when another tab has taken over.
+export function useSessionControl(sessionId, serverState) {
+  const controllerId = getControllerId();
+  const [error, setError] = useState(null);
+  // Session this tab just claimed - the stream may not show it as ours yet
+  const [claimedSessionId, setClaimedSessionId] = useState(null);
+
+  const loadedSession = serverState?.session?.id === sessionId ? serverState.session : null;
+  // The server only says whether some tab holds the lease and whether it's this one
+  const isControlled = loadedSession?.isControlled ?? false;
+  const isController = loadedSession?.isController ?? false;
+  if (claimedSessionId && isController) {
+    setClaimedSessionId(null);
+  }
+
+  const hasControl = !isControlled || isController || claimedSessionId === sessionId;
+
+  // Claim this session's controller lease - resolves to the server's error, or null once this tab holds it
+  const requestControl = useCallback(async (takeOver) => {
+    try {
+      const response = await fetch('/api/session/control', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionId, controllerId, takeOver }),
+      });
+      const data = await response.json();
+      return response.ok ? null : (data.error || 'Failed to take control');
+    } catch (err) {
+      console.error('Failed to claim session control:', err);
+      return 'Not connected - try again in a moment';
+    }
+  }, [sessionId, controllerId]);
+
+  // Claim the session once it has loaded, if nobody else is controlling it
+  // (failing because another tab has it isn't an error - this tab is just read-only)
+  const claimAttemptedRef = useRef(null);
+  useEffect(() => {
+    if (!loadedSession || loadedSession.endedAt || isController) return;
+    if (claimAttemptedRef.current === sessionId) return;
+
+    claimAttemptedRef.current = sessionId;
+    requestControl(false).then((claimError) => {
+      if (!claimError) setClaimedSessionId(sessionId);
+    });
+  }, [sessionId, loadedSession, isController, requestControl]);
+
+  const takeControl = useCallback(async () => {
+    const claimError = await requestControl(true);
+    setError(claimError);
+    if (!claimError) setClaimedSessionId(sessionId);
+  }, [sessionId, requestControl]);
+
+  return { controllerId, hasControl, takeControl, error };
+}